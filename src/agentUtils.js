@@ -1,28 +1,97 @@
-
+import fs from 'fs';
 import { createOpenRouter } from '@openrouter/ai-sdk-provider';
+import { createOpenAI } from '@ai-sdk/openai';
+import { createAnthropic } from '@ai-sdk/anthropic';
+import { createGoogleGenerativeAI } from '@ai-sdk/google';
+import { createOpenAICompatible } from '@ai-sdk/openai-compatible';
 import dotenv from 'dotenv';
+import { getArgValue, getNumberArg } from './cliUtils.js';
+import { createMockModel } from './mock-provider.js';
 dotenv.config();
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+// Model registry: each alias names a provider, a model id, default reasoning options and prices.
+// Providers are OpenRouter, OpenAI, Anthropic, Google or any OpenAI-compatible base URL.
+export const MODEL_REGISTRY_PATH = getArgValue('--models', 'config/models.json');
 
-const modelMapOpenrouter = {
-    pro: 'google/gemini-2.5-pro',
-    sonnet: 'anthropic/claude-sonnet-4.5',
-    gpt5: 'openai/gpt-5',
-};
+const registry = JSON.parse(fs.readFileSync(MODEL_REGISTRY_PATH, 'utf8'));
+
+const DEFAULT_CONCURRENCY = 8; // parallel calls per provider without a configured limit
 
+// Offline runs: --mock replay|synthetic swaps every model for the mock provider
+const MOCK_MODE = getArgValue('--mock', process.env.MOCK_LLM || null);
+const MOCK_SEED = getNumberArg('--mock-seed', 1);
+const REPLAY_DIR = getArgValue('--replay-dir', 'data'); // recordings to replay, e.g. another checkout's data/
 
-export const getOpenModel = (modelName) => {
-    if (!OPENROUTER_API_KEY) throw new Error('OpenRouter API key not configured');
-    const openrouter = createOpenRouter({
-        apiKey: OPENROUTER_API_KEY,
+const providerFactories = {
+    'openrouter': ({ apiKey }) => createOpenRouter({
+        apiKey,
         extraBody: {
             usage: {
                 include: true,
             },
         },
-    });
-    const model = modelMapOpenrouter[modelName];
-    if (!model) throw new Error('Invalid model: ' + modelName);
-    return openrouter(model);
-};
\ No newline at end of file
+    }),
+    'openai': ({ apiKey, baseURL }) => createOpenAI({ apiKey, baseURL }),
+    'anthropic': ({ apiKey, baseURL }) => createAnthropic({ apiKey, baseURL }),
+    'google': ({ apiKey, baseURL }) => createGoogleGenerativeAI({ apiKey, baseURL }),
+    'openai-compatible': ({ name, apiKey, baseURL, supportsStructuredOutputs }) => {
+        if (!baseURL) throw new Error(`Provider ${name} needs a baseURL`);
+        return createOpenAICompatible({ name, apiKey, baseURL, supportsStructuredOutputs });
+    },
+};
+
+const providers = {};
+
+const getProvider = (name) => {
+    if (providers[name]) return providers[name];
+
+    const config = registry.providers[name];
+    if (!config) throw new Error('Unknown provider: ' + name);
+    const factory = providerFactories[config.type];
+    if (!factory) throw new Error(`Unknown provider type for ${name}: ${config.type}`);
+
+    // Local OpenAI-compatible servers usually run without a key
+    const apiKey = config.apiKeyEnv ? process.env[config.apiKeyEnv] : undefined;
+    if (!apiKey && config.type !== 'openai-compatible') {
+        throw new Error(`API key for provider ${name} not configured (${config.apiKeyEnv})`);
+    }
+
+    providers[name] = factory({ ...config, name, apiKey });
+    return providers[name];
+};
+
+export const getModelConfig = (modelName) => {
+    const config = registry.models[modelName];
+    if (!config) throw new Error('Invalid model: ' + modelName);
+    return config;
+};
+
+export const getModelAliases = () => Object.keys(registry.models);
+
+// replayKey identifies the recorded response when replaying (see mock-provider.js)
+export const getOpenModel = (modelName, { replayKey } = {}) => {
+    const { provider, modelId } = getModelConfig(modelName);
+    if (MOCK_MODE) {
+        return createMockModel({ mode: MOCK_MODE, modelName, modelId, replayKey, replayDir: REPLAY_DIR, seed: MOCK_SEED });
+    }
+    return getProvider(provider)(modelId);
+};
+
+// Provider and model id an alias resolves to; mock runs are kept apart from real ones
+export const getResolvedModelId = (modelName) => {
+    const { provider, modelId } = getModelConfig(modelName);
+    return MOCK_MODE ? `mock.${MOCK_MODE}:${modelId}` : `${provider}:${modelId}`;
+};
+
+// Scheduler lane of a model: calls to the same provider share its concurrency and rate limits
+export const getProviderLimits = (modelName) => {
+    if (MOCK_MODE) return { provider: `mock.${MOCK_MODE}`, concurrency: Infinity, requestsPerMinute: null };
+    const { provider } = getModelConfig(modelName);
+    const { concurrency = DEFAULT_CONCURRENCY, requestsPerMinute = null } = registry.providers[provider] || {};
+    return { provider, concurrency, requestsPerMinute };
+};
+
+// Default reasoning/thinking options of a model, keyed by provider as the AI SDK expects
+export const getProviderOptions = (modelName) => {
+    return getModelConfig(modelName).providerOptions || {};
+};
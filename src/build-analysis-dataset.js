@@ -1,38 +1,67 @@
 import fs from 'fs'
 import path from 'path'
+import { poolForecasts } from './pooling.js'
+import { pinballLoss, multiclassLogLoss, multiclassBrier, logLoss, brierScore } from './scoring.js'
+import { getQuantileValues, isContinuous, isMultipleChoice, QUANTILE_LEVELS } from './question-types.js'
+import { getNumberArg } from './cliUtils.js'
+import { DEFAULT_PROTOCOL } from './deliberation-protocols.js'
+import { authorName } from './information-units.js'
+import {
+    INDEPENDENT_DIR,
+    DELIBERATIVE_DIR,
+    FACILITATED_DIR,
+    MEMORIZATION_DIR,
+    OUTPUT_DIR,
+    loadForecasts,
+    getRounds,
+    loadQuestionMap,
+    indexById,
+    toCSV,
+} from './datasetUtils.js'
 
-const QUESTIONS_PATH = 'data/processed/questions.json'
-const INDEPENDENT_DIR = 'data/independent-forecasts'
-const DELIBERATIVE_DIR = 'data/deliberative-forecasts'
-const OUTPUT_DIR = 'data/analysis'
-
-// Load all JSON files from a directory
-const loadForecasts = (dir) => {
-    if (!fs.existsSync(dir)) return []
-    const files = fs.readdirSync(dir).filter(f => f.endsWith('.json'))
-    return files.map(f => {
-        const content = fs.readFileSync(path.join(dir, f), 'utf8')
-        return JSON.parse(content)
-    })
-}
+const EXTREMIZE_FACTOR = getNumberArg('--extremize', 2) // log-odds extremizing factor for groups.csv and facilitated.csv
+const TRIM_FRACTION = getNumberArg('--trim', 0.2) // fraction trimmed from each end for trimmed_mean
 
-// Convert array of objects to CSV (proper escaping)
-const toCSV = (rows) => {
-    if (rows.length === 0) return ''
-    const headers = Object.keys(rows[0])
-    const lines = [headers.join(',')]
-    for (const row of rows) {
-        const values = headers.map(h => {
-            const v = row[h]
-            if (v === null || v === undefined) return ''
-            if (typeof v === 'string' && (v.includes(',') || v.includes('"') || v.includes('\n'))) {
-                return `"${v.replace(/"/g, '""')}"`
-            }
-            return v
-        })
-        lines.push(values.join(','))
+const round = (x) => x === null ? '' : Number(x.toFixed(6))
+
+// Members of the deliberating group, the forecaster included
+const groupSize = (f) => f.otherForecastIds.length + 1
+
+// Probability for binary questions; median and pinball loss (normalized by the range width)
+// for numeric and date questions, whose quantiles are in q5..q95 (dates in unix seconds);
+// multi-class log loss and Brier score for multiple-choice questions, whose probability
+// vector is kept as JSON. Every row has every column, so CSV headers stay the same.
+const forecastColumns = (q, forecast) => {
+    const columns = {
+        probability: '',
+        median: '',
+        pinball_loss: '',
+        ...Object.fromEntries(QUANTILE_LEVELS.map(level => [`q${level * 100}`, ''])),
+        probabilities: '',
+        mc_log_loss: '',
+        mc_brier: '',
     }
-    return lines.join('\n')
+
+    if (isMultipleChoice(q)) {
+        const resolved = q.resolution !== null
+        return {
+            ...columns,
+            probabilities: JSON.stringify(forecast.probabilities),
+            mc_log_loss: round(resolved ? multiclassLogLoss(forecast.probabilities, q.resolution) : null),
+            mc_brier: round(resolved ? multiclassBrier(forecast.probabilities, q.resolution) : null),
+        }
+    }
+    if (isContinuous(q)) {
+        const quantiles = getQuantileValues(q, forecast)
+        const loss = q.resolution === null ? null : pinballLoss(quantiles, q.resolution) / (q.range.max - q.range.min)
+        return {
+            ...columns,
+            median: quantiles.find(x => x.level === 0.5).value,
+            pinball_loss: round(loss),
+            ...Object.fromEntries(quantiles.map(({ level, value }) => [`q${level * 100}`, value])),
+        }
+    }
+    return { ...columns, probability: forecast.probability }
 }
 
 // Build clean dataset for R analysis
@@ -40,30 +69,25 @@ const buildDataset = () => {
     console.log('Loading data...')
 
     // Load questions
-    const questions = JSON.parse(fs.readFileSync(QUESTIONS_PATH, 'utf8'))
-    console.log(`  Loaded ${questions.length} questions`)
-
-    // Create question lookup
-    const questionMap = {}
-    for (const q of questions) {
-        questionMap[q.id] = {
-            id: q.id,
-            title: q.questionTitle,
-            resolution: q.resolution === 'yes' ? 1 : 0
-        }
-    }
+    const questionMap = loadQuestionMap()
+    console.log(`  Loaded ${Object.keys(questionMap).length} questions`)
 
     // Load forecasts
     const independentForecasts = loadForecasts(INDEPENDENT_DIR)
     const deliberativeForecasts = loadForecasts(DELIBERATIVE_DIR)
+    const facilitatedForecasts = loadForecasts(FACILITATED_DIR)
     console.log(`  Loaded ${independentForecasts.length} independent forecasts`)
     console.log(`  Loaded ${deliberativeForecasts.length} deliberative forecasts`)
+    console.log(`  Loaded ${facilitatedForecasts.length} facilitated forecasts`)
+
+    // Memorization probes: classification per (question, model), '' where not probed
+    const probes = loadForecasts(MEMORIZATION_DIR)
+    console.log(`  Loaded ${probes.length} memorization probes`)
+    const probeMap = new Map(probes.map(p => [`${p.questionId}-${p.model}`, p]))
+    const contaminationOf = (questionId, model) => probeMap.get(`${questionId}-${model}`)?.classification ?? ''
 
     // Create independent forecast lookup
-    const independentMap = {}
-    for (const f of independentForecasts) {
-        independentMap[f.forecastId] = f
-    }
+    const independentMap = indexById(independentForecasts)
 
     // Build forecast rows (one row per forecast)
     const forecastRows = []
@@ -75,14 +99,22 @@ const buildDataset = () => {
 
         forecastRows.push({
             question_id: f.questionId,
+            question_type: q.forecastType,
             resolution: q.resolution,
             forecast_id: f.forecastId,
             stage: 'independent',
             condition: '',  // filled in when linked to deliberative
+            protocol: '',
+            ordering: '',
+            group_size: '',
             model: f.model,
+            contamination: contaminationOf(f.questionId, f.model),
             info_label: f.infoLabel,
             position: '',
-            probability: f.forecast.probability
+            role: '',
+            turn: '',
+            rounds: '',
+            ...forecastColumns(q, f.forecast)
         })
     }
 
@@ -93,17 +125,107 @@ const buildDataset = () => {
 
         forecastRows.push({
             question_id: f.questionId,
+            question_type: q.forecastType,
             resolution: q.resolution,
             forecast_id: f.forecastId,
             stage: 'deliberative',
             condition: f.condition,
+            protocol: f.protocol || DEFAULT_PROTOCOL,
+            ordering: f.ordering || 'simultaneous',
+            group_size: groupSize(f),
             model: f.model,
+            contamination: contaminationOf(f.questionId, f.model),
             info_label: f.infoLabel,
             position: f.position,
-            probability: f.forecast.probability
+            role: f.role || '',
+            turn: f.turn ?? '',
+            rounds: getRounds(f).length,
+            ...forecastColumns(q, f.forecast)
         })
     }
 
+    // Add facilitated forecasts (one per group; the model is the facilitator)
+    for (const f of facilitatedForecasts) {
+        const q = questionMap[f.questionId]
+        if (!q) continue
+
+        forecastRows.push({
+            question_id: f.questionId,
+            question_type: q.forecastType,
+            resolution: q.resolution,
+            forecast_id: f.forecastId,
+            stage: 'facilitated',
+            condition: f.condition,
+            protocol: f.protocol || DEFAULT_PROTOCOL,
+            ordering: f.ordering || 'simultaneous',
+            group_size: f.deliberativeForecastIds.length,
+            model: f.model,
+            contamination: contaminationOf(f.questionId, f.model),
+            info_label: '',
+            position: '',
+            role: '',
+            turn: '',
+            rounds: '',
+            ...forecastColumns(q, f.forecast)
+        })
+    }
+
+    // Add the tournament bots' forecasts as baseline models (the bots whose comments fed the
+    // information packages; binary and multiple-choice questions)
+    for (const q of Object.values(questionMap)) {
+        for (const b of q.botForecasts) {
+            forecastRows.push({
+                question_id: q.id,
+                question_type: q.forecastType,
+                resolution: q.resolution,
+                forecast_id: `${q.id}-bot-${b.authorId}`,
+                stage: 'baseline',
+                condition: '',
+                protocol: '',
+                ordering: '',
+                group_size: '',
+                model: `bot:${authorName(b.authorId) ?? b.authorId}`,
+                contamination: '',
+                info_label: '',
+                position: '',
+                role: '',
+                turn: '',
+                rounds: '',
+                ...forecastColumns(q, b.forecast)
+            })
+        }
+    }
+
+    // Build round-level rows (trajectory from independent = round 0 to the final round)
+    const roundRows = []
+    for (const f of deliberativeForecasts) {
+        const q = questionMap[f.questionId]
+        const indF = independentMap[f.independentForecastId]
+        if (!q || !indF) continue
+
+        const base = {
+            question_id: f.questionId,
+            question_type: q.forecastType,
+            resolution: q.resolution,
+            group_id: f.groupId,
+            condition: f.condition,
+            protocol: f.protocol || DEFAULT_PROTOCOL,
+            ordering: f.ordering || 'simultaneous',
+            group_size: groupSize(f),
+            model: f.model,
+            info_label: f.infoLabel,
+            position: f.position,
+            role: f.role || '',
+            turn: f.turn ?? '',
+            deliberative_forecast_id: f.forecastId,
+            stop_reason: f.stopReason || '',
+        }
+        roundRows.push({ ...base, round: 0, ...forecastColumns(q, indF.forecast) })
+        for (const r of getRounds(f)) {
+            roundRows.push({ ...base, round: r.round, ...forecastColumns(q, r.forecast) })
+        }
+    }
+
     // Build condition-level rows (links independent to deliberative)
     const conditionRows = []
 
@@ -133,29 +255,139 @@ const buildDataset = () => {
             const indF = independentMap[df.independentForecastId]
             if (!indF) continue
 
+            const independent = forecastColumns(q, indF.forecast)
+            const deliberative = forecastColumns(q, df.forecast)
             conditionRows.push({
                 question_id: qid,
+                question_type: q.forecastType,
                 resolution: q.resolution,
                 condition: condition,
+                protocol: df.protocol || DEFAULT_PROTOCOL,
+                ordering: df.ordering || 'simultaneous',
+                group_size: groupSize(df),
                 model: df.model,
                 info_label: df.infoLabel,
                 position: df.position,
+                role: df.role || '',
+                turn: df.turn ?? '',
                 independent_forecast_id: df.independentForecastId,
                 deliberative_forecast_id: df.forecastId,
-                independent_prob: indF.forecast.probability,
-                deliberative_prob: df.forecast.probability
+                rounds: getRounds(df).length,
+                independent_prob: independent.probability,
+                deliberative_prob: deliberative.probability,
+                independent_pinball: independent.pinball_loss,
+                deliberative_pinball: deliberative.pinball_loss,
+                independent_mc_log_loss: independent.mc_log_loss,
+                deliberative_mc_log_loss: deliberative.mc_log_loss,
+                independent_mc_brier: independent.mc_brier,
+                deliberative_mc_brier: deliberative.mc_brier
+            })
+        }
+    }
+
+    // Build group-level rows (one per group and stage, pooled under each rule; the pooling
+    // rules combine binary probabilities, so other question types are left out)
+    const groupRows = []
+    const deliberativeByGroup = {}
+    for (const f of deliberativeForecasts) {
+        if (!deliberativeByGroup[f.groupId]) deliberativeByGroup[f.groupId] = []
+        deliberativeByGroup[f.groupId].push(f)
+    }
+
+    for (const [groupId, members] of Object.entries(deliberativeByGroup)) {
+        const q = questionMap[members[0].questionId]
+        if (!q || q.forecastType !== 'binary') continue
+
+        const independentMembers = members.map(df => independentMap[df.independentForecastId]).filter(Boolean)
+        const stages = {
+            independent: independentMembers.map(f => f.forecast.probability),
+            deliberative: members.map(f => f.forecast.probability),
+        }
+
+        for (const [stage, probabilities] of Object.entries(stages)) {
+            if (probabilities.length === 0) continue
+            const pooled = poolForecasts(probabilities, { extremizeFactor: EXTREMIZE_FACTOR, trimFraction: TRIM_FRACTION })
+            groupRows.push({
+                group_id: groupId,
+                question_id: q.id,
+                resolution: q.resolution,
+                condition: members[0].condition,
+                protocol: members[0].protocol || DEFAULT_PROTOCOL,
+                ordering: members[0].ordering || 'simultaneous',
+                stage,
+                n_agents: probabilities.length,
+                ...Object.fromEntries(Object.entries(pooled).map(([rule, p]) => [rule, Number(p.toFixed(4))])),
+            })
+        }
+    }
+
+    // Build facilitator-vs-pooling rows (binary groups): the facilitated forecast and each
+    // pooling rule over the same group's final deliberative forecasts, scored on one scale
+    const facilitatedRows = []
+    const deliberativeMap = indexById(deliberativeForecasts)
+
+    for (const f of facilitatedForecasts) {
+        const q = questionMap[f.questionId]
+        if (!q || q.forecastType !== 'binary') continue
+
+        const members = f.deliberativeForecastIds.map(id => deliberativeMap[id]).filter(Boolean)
+        if (members.length !== f.deliberativeForecastIds.length) continue
+
+        const pooled = poolForecasts(members.map(m => m.forecast.probability), { extremizeFactor: EXTREMIZE_FACTOR, trimFraction: TRIM_FRACTION })
+        const methods = { facilitated: f.forecast.probability, ...pooled }
+        for (const [method, p] of Object.entries(methods)) {
+            facilitatedRows.push({
+                group_id: f.groupId,
+                question_id: q.id,
+                resolution: q.resolution,
+                condition: f.condition,
+                protocol: f.protocol || DEFAULT_PROTOCOL,
+                ordering: f.ordering || 'simultaneous',
+                facilitator: f.model,
+                n_agents: members.length,
+                method,
+                probability: Number(p.toFixed(4)),
+                log_loss: round(q.resolution === null ? null : logLoss(p, q.resolution)),
+                brier: round(q.resolution === null ? null : brierScore(p, q.resolution)),
             })
         }
     }
 
-    // Build questions table
-    const questionRows = Object.values(questionMap).map(q => ({
-        question_id: q.id,
-        resolution: q.resolution,
-        title: q.title
-    }))
+    // Build contamination table (one row per memorization probe)
+    const contaminationRows = []
+    for (const p of probes) {
+        const q = questionMap[p.questionId]
+        if (!q) continue
+
+        contaminationRows.push({
+            question_id: p.questionId,
+            question_type: q.forecastType,
+            resolution: q.resolution,
+            model: p.model,
+            classification: p.classification,
+            recalled_resolution: p.answer.resolution,
+            recalled_correct: p.recalledCorrectly ?? '', // '' if unreadable or unresolved (memorization-probe.js)
+            event_date: p.answer.event_date,
+            confidence: p.answer.confidence,
+        })
+    }
+
+    // Build questions table; contaminated: some probed model knows the outcome ('' if not probed)
+    const questionRows = Object.values(questionMap).map(q => {
+        const classifications = contaminationRows.filter(r => r.question_id === q.id).map(r => r.classification)
+        return {
+            question_id: q.id,
+            question_type: q.forecastType,
+            resolution: q.resolution,
+            info_units: q.informationUnits,
+            info_flagged: q.informationFlagged,
+            leakage_flagged: q.leakageFlagged,
+            contaminated: classifications.length === 0 ? '' : classifications.includes('knows_outcome'),
+            title: q.title
+        }
+    })
 
-    return { forecastRows, conditionRows, questionRows }
+    return { forecastRows, conditionRows, roundRows, groupRows, facilitatedRows, contaminationRows, questionRows }
 }
 
 // Main
@@ -166,11 +398,15 @@ const main = () => {
         fs.mkdirSync(OUTPUT_DIR, { recursive: true })
     }
 
-    const { forecastRows, conditionRows, questionRows } = buildDataset()
+    const { forecastRows, conditionRows, roundRows, groupRows, facilitatedRows, contaminationRows, questionRows } = buildDataset()
 
     console.log(`\nDataset summary:`)
-    console.log(`  Forecasts: ${forecastRows.length}`)
+    console.log(`  Forecasts: ${forecastRows.length} (bot baselines: ${forecastRows.filter(r => r.stage === 'baseline').length})`)
     console.log(`  Condition pairs: ${conditionRows.length}`)
+    console.log(`  Deliberation rounds: ${roundRows.length}`)
+    console.log(`  Group aggregates: ${groupRows.length} (extremizing factor ${EXTREMIZE_FACTOR})`)
+    console.log(`  Facilitated vs pooled: ${facilitatedRows.length}`)
+    console.log(`  Memorization probes: ${contaminationRows.length}`)
     console.log(`  Questions: ${questionRows.length}`)
 
     // Save CSVs
@@ -180,6 +416,30 @@ const main = () => {
     fs.writeFileSync(path.join(OUTPUT_DIR, 'condition_pairs.csv'), toCSV(conditionRows))
     console.log(`Saved: data/analysis/condition_pairs.csv`)
 
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'rounds.csv'), toCSV(roundRows))
+    console.log(`Saved: data/analysis/rounds.csv`)
+
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'groups.csv'), toCSV(groupRows))
+    console.log(`Saved: data/analysis/groups.csv`)
+
+    // Only written once facilitated-forecast.js has run; a previous run's file is removed rather than left stale
+    if (facilitatedRows.length > 0) {
+        fs.writeFileSync(path.join(OUTPUT_DIR, 'facilitated.csv'), toCSV(facilitatedRows))
+        console.log(`Saved: data/analysis/facilitated.csv`)
+    } else {
+        fs.rmSync(path.join(OUTPUT_DIR, 'facilitated.csv'), { force: true })
+        console.log(`Skipped: data/analysis/facilitated.csv (no facilitated forecasts)`)
+    }
+
+    // Only written once memorization-probe.js has run
+    if (contaminationRows.length > 0) {
+        fs.writeFileSync(path.join(OUTPUT_DIR, 'contamination.csv'), toCSV(contaminationRows))
+        console.log(`Saved: data/analysis/contamination.csv`)
+    } else {
+        fs.rmSync(path.join(OUTPUT_DIR, 'contamination.csv'), { force: true })
+        console.log(`Skipped: data/analysis/contamination.csv (no memorization probes)`)
+    }
+
     fs.writeFileSync(path.join(OUTPUT_DIR, 'questions.csv'), toCSV(questionRows))
     console.log(`Saved: data/analysis/questions.csv`)
 
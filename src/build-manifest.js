@@ -0,0 +1,41 @@
+import fs from 'fs'
+import path from 'path'
+import { loadExperiment, EXPERIMENT_PATH } from './experiment.js'
+import { buildManifest, manifestPath } from './manifest.js'
+import { hasFlag } from './cliUtils.js'
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const QUESTIONS_PATH = 'data/processed/questions.json'
+const LEGACY = hasFlag('--legacy') // reproduce the assignments of the original aibq2 run
+const FORCE = hasFlag('--force') // overwrite an existing manifest
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+const main = () => {
+    const experiment = loadExperiment()
+    const questions = JSON.parse(fs.readFileSync(QUESTIONS_PATH, 'utf8'))
+    const outputFile = manifestPath(experiment)
+
+    if (fs.existsSync(outputFile) && !FORCE) {
+        console.error(`Manifest already exists: ${outputFile}`)
+        console.error('Assignments are fixed once per experiment. Use --force to overwrite.')
+        process.exit(1)
+    }
+
+    const manifest = buildManifest(experiment, questions, { legacy: LEGACY })
+
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true })
+    fs.writeFileSync(outputFile, JSON.stringify(manifest, null, 2))
+
+    console.log(`Experiment: ${experiment.name} (${EXPERIMENT_PATH})`)
+    console.log(`Method: ${manifest.method}${manifest.seed !== null ? `, seed ${manifest.seed}` : ''}`)
+    console.log(`Questions: ${manifest.questionIds.length}, conditions: ${Object.keys(experiment.conditions).length}`)
+    console.log(`Saved: ${outputFile}`)
+}
+
+main()
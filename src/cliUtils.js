@@ -0,0 +1,26 @@
+// Minimal helpers for the `--flag value` style options used by the pipeline scripts
+
+export const hasFlag = (name) => process.argv.includes(name)
+
+export const getArgValue = (name, fallback = null) => {
+    const i = process.argv.indexOf(name)
+    if (i === -1 || process.argv[i + 1] === undefined || process.argv[i + 1].startsWith('--')) {
+        return fallback
+    }
+    return process.argv[i + 1]
+}
+
+export const getNumberArg = (name, fallback = null) => {
+    const value = getArgValue(name)
+    if (value === null) return fallback
+    const number = Number(value)
+    if (Number.isNaN(number)) throw new Error(`${name} must be a number, got: ${value}`)
+    return number
+}
+
+// Comma-separated list, e.g. --tournament aibq2,aibq3
+export const getListArg = (name, fallback = []) => {
+    const value = getArgValue(name)
+    if (value === null) return fallback
+    return value.split(',').map(v => v.trim()).filter(v => v !== '')
+}
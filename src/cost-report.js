@@ -0,0 +1,165 @@
+import fs from 'fs'
+import path from 'path'
+import { computeCost, sumUsage } from './costs.js'
+import {
+    QUESTIONS_PATH,
+    INDEPENDENT_DIR,
+    DELIBERATIVE_DIR,
+    FACILITATED_DIR,
+    MEMORIZATION_DIR,
+    OUTPUT_DIR,
+    loadForecasts,
+    getRounds,
+} from './datasetUtils.js'
+import { loadLeakageReport } from './leakage-checks.js'
+
+// Token usage and cost of every recorded LLM call, by stage × condition × model.
+// Costs are recomputed from the current price table in the model registry.
+
+const SHARED = '(shared)' // independent forecasts, information packages, leakage verdicts and probes serve all conditions
+
+// =============================================================================
+// CALLS
+// =============================================================================
+
+// One entry per LLM call: { stage, condition, model, usage }
+const loadCalls = () => {
+    const calls = []
+
+    const questions = fs.existsSync(QUESTIONS_PATH) ? JSON.parse(fs.readFileSync(QUESTIONS_PATH, 'utf8')) : []
+    for (const q of questions) {
+        if (!q.processing) continue
+        calls.push({ stage: 'information', condition: SHARED, model: q.processing.model, usage: q.processing.usage })
+    }
+
+    for (const f of loadForecasts(INDEPENDENT_DIR)) {
+        calls.push({ stage: 'independent', condition: SHARED, model: f.model, usage: f.usage })
+    }
+
+    for (const f of loadForecasts(DELIBERATIVE_DIR)) {
+        const rounds = getRounds(f)
+        for (const r of rounds) {
+            // Single-round files written before per-round records keep usage at the top level
+            const usage = r.usage || (rounds.length === 1 ? f.usage : undefined)
+            calls.push({ stage: 'deliberative', condition: f.condition, model: f.model, usage })
+        }
+    }
+
+    for (const f of loadForecasts(FACILITATED_DIR)) {
+        calls.push({ stage: 'facilitated', condition: f.condition, model: f.model, usage: f.usage })
+    }
+
+    // The judge's verdict per question (leakage-audit.js --judge)
+    for (const q of loadLeakageReport()?.questions || []) {
+        if (!q.judge) continue
+        calls.push({ stage: 'leakage', condition: SHARED, model: q.judge.model, usage: q.judge.usage })
+    }
+
+    for (const p of loadForecasts(MEMORIZATION_DIR)) {
+        calls.push({ stage: 'memorization', condition: SHARED, model: p.model, usage: p.usage })
+    }
+
+    return calls
+}
+
+// =============================================================================
+// AGGREGATION
+// =============================================================================
+
+const summarizeCalls = (key, calls) => {
+    const recorded = calls.filter(c => c.usage)
+    const usage = sumUsage(recorded.map(c => c.usage))
+    return {
+        ...key,
+        calls: calls.length,
+        calls_without_usage: calls.length - recorded.length,
+        input_tokens: usage.inputTokens || 0,
+        output_tokens: usage.outputTokens || 0,
+        reasoning_tokens: usage.reasoningTokens || 0,
+        cost_usd: recorded.reduce((sum, c) => sum + computeCost(c.model, c.usage), 0),
+    }
+}
+
+const summarizeBy = (calls, keys) => {
+    const cells = {}
+    for (const c of calls) {
+        const id = keys.map(k => c[k]).join('|')
+        if (!cells[id]) cells[id] = { key: Object.fromEntries(keys.map(k => [k, c[k]])), calls: [] }
+        cells[id].calls.push(c)
+    }
+    return Object.keys(cells).sort().map(id => summarizeCalls(cells[id].key, cells[id].calls))
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+const fmtUsd = (x) => `$${x.toFixed(2)}`
+
+const costTable = (cells, keyColumns) => {
+    const header = [...keyColumns, 'calls', 'no usage', 'input tokens', 'output tokens', 'reasoning tokens', 'cost']
+    const lines = [
+        `| ${header.join(' | ')} |`,
+        `| ${header.map(() => '---').join(' | ')} |`,
+    ]
+    for (const c of cells) {
+        lines.push(`| ${[
+            ...keyColumns.map(k => c[k]),
+            c.calls,
+            c.calls_without_usage,
+            c.input_tokens,
+            c.output_tokens,
+            c.reasoning_tokens,
+            fmtUsd(c.cost_usd),
+        ].join(' | ')} |`)
+    }
+    return lines.join('\n')
+}
+
+const toMarkdown = ({ generatedAt, total, byStage, byModel, byCell }) => `# Cost Report
+
+Generated: ${generatedAt}
+Total: ${fmtUsd(total.cost_usd)} for ${total.calls} calls (${total.calls_without_usage} without recorded usage are not priced).
+
+## By stage
+
+${costTable(byStage, ['stage'])}
+
+## By model
+
+${costTable(byModel, ['model'])}
+
+## By stage × condition × model
+
+${costTable(byCell, ['stage', 'condition', 'model'])}
+`
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+const main = () => {
+    console.log('\n=== Cost Report ===\n')
+
+    const calls = loadCalls()
+    console.log(`Loaded ${calls.length} recorded LLM calls`)
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        total: summarizeCalls({}, calls),
+        byStage: summarizeBy(calls, ['stage']),
+        byModel: summarizeBy(calls, ['model']),
+        byCell: summarizeBy(calls, ['stage', 'condition', 'model']),
+    }
+
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true })
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'cost-report.json'), JSON.stringify(report, null, 2))
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'cost-report.md'), toMarkdown(report))
+
+    console.log(`\n${costTable(report.byStage, ['stage'])}\n`)
+    console.log(`Total: ${fmtUsd(report.total.cost_usd)}`)
+    console.log(`Saved: data/analysis/cost-report.json`)
+    console.log(`Saved: data/analysis/cost-report.md`)
+}
+
+main()
@@ -0,0 +1,101 @@
+import { z } from 'zod'
+import { getModelConfig } from './agentUtils.js'
+import { getNumberArg } from './cliUtils.js'
+
+// Token usage and cost accounting. Prices come from pricePerMillionTokens in the model
+// registry: { input, output[, cachedInput] } in USD. Reasoning tokens are billed as output
+// and are already included in outputTokens.
+
+export const MAX_USD = getNumberArg('--max-usd', null) // hard budget cap for the run
+
+const CHARS_PER_TOKEN = 4 // rough prompt size estimate before the call
+
+// =============================================================================
+// USAGE AND COST
+// =============================================================================
+
+export const sumUsage = (usages) => {
+    const total = {}
+    for (const usage of usages) {
+        for (const [key, value] of Object.entries(usage || {})) {
+            if (typeof value === 'number') total[key] = (total[key] || 0) + value
+        }
+    }
+    return total
+}
+
+const getPrices = (modelName) => {
+    const prices = getModelConfig(modelName).pricePerMillionTokens
+    if (!prices) throw new Error(`Model ${modelName} has no pricePerMillionTokens`)
+    return prices
+}
+
+export const computeCost = (modelName, usage) => {
+    const { input = 0, output = 0, cachedInput = input } = getPrices(modelName)
+    const cached = usage?.cachedInputTokens || 0
+    const uncached = (usage?.inputTokens || 0) - cached
+    return (uncached * input + cached * cachedInput + (usage?.outputTokens || 0) * output) / 1_000_000
+}
+
+// Upper bound of a request's cost: estimated prompt tokens and the full output allowance
+export const estimateRequestCost = (modelName, { system, prompt, messages, schema, maxOutputTokens }) => {
+    const promptChars = JSON.stringify({ system, prompt, messages }).length
+        + (schema ? JSON.stringify(z.toJSONSchema(schema)).length : 0)
+    return computeCost(modelName, {
+        inputTokens: Math.ceil(promptChars / CHARS_PER_TOKEN),
+        outputTokens: maxOutputTokens || 0,
+    })
+}
+
+// =============================================================================
+// BUDGET
+// =============================================================================
+
+// Calls reserve their worst-case cost before they start and settle with the actual usage.
+// Once a call would push spent + in-flight reservations over the cap, no further calls are
+// scheduled for the rest of the run.
+export const createBudget = (maxUsd = MAX_USD) => {
+    let spent = 0
+    let reserved = 0
+    let exhausted = false
+
+    return {
+        // Returns the reservation, or null if the call must not be made
+        reserve(modelName, request) {
+            const amount = estimateRequestCost(modelName, request)
+            if (exhausted) return null
+            if (maxUsd !== null && spent + reserved + amount > maxUsd) {
+                exhausted = true
+                return null
+            }
+            reserved += amount
+            return { modelName, amount }
+        },
+        // usage of the call, also for failed calls that were billed (e.g. unparsable output)
+        settle(reservation, usage) {
+            reserved -= reservation.amount
+            if (usage) spent += computeCost(reservation.modelName, usage)
+        },
+        // Runs call() under a reservation; null if the budget does not allow it.
+        // call() must resolve to an object with .usage
+        async run(modelName, request, call) {
+            const reservation = this.reserve(modelName, request)
+            if (!reservation) return null
+            try {
+                const result = await call()
+                this.settle(reservation, result.usage)
+                return result
+            } catch (error) {
+                this.settle(reservation, error.usage)
+                throw error
+            }
+        },
+        get spent() { return spent },
+        get exhausted() { return exhausted },
+        get maxUsd() { return maxUsd },
+    }
+}
+
+export const formatBudget = (budget) => budget.maxUsd === null
+    ? `$${budget.spent.toFixed(2)} (no cap)`
+    : `$${budget.spent.toFixed(2)} of $${budget.maxUsd.toFixed(2)}`
@@ -0,0 +1,124 @@
+import fs from 'fs'
+import path from 'path'
+import { getQuestionType, parseResolution } from './question-types.js'
+import { loadLeakageReport } from './leakage-checks.js'
+
+// Shared inputs of the dataset builder and the scoring/reporting commands
+
+export const QUESTIONS_PATH = 'data/processed/questions.json'
+export const RAW_QUESTIONS_PATH = 'data/raw/questions.json'
+export const INDEPENDENT_DIR = 'data/independent-forecasts'
+export const DELIBERATIVE_DIR = 'data/deliberative-forecasts'
+export const FACILITATED_DIR = 'data/facilitated-forecasts'
+export const MEMORIZATION_DIR = 'data/memorization-probes'
+export const OUTPUT_DIR = 'data/analysis'
+
+// Load all JSON files from a directory
+export const loadForecasts = (dir) => {
+    if (!fs.existsSync(dir)) return []
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.json'))
+    return files.map(f => {
+        const content = fs.readFileSync(path.join(dir, f), 'utf8')
+        return JSON.parse(content)
+    })
+}
+
+// Deliberative files written before multi-round support hold a single round
+export const getRounds = (f) => f.rounds || [{ round: 1, forecast: f.forecast }]
+
+// Question lookup with resolution 1/0 for binary questions and the outcome value for numeric
+// and date questions (see question-types.js). The bots' forecasts are joined by id from the
+// latest scrape, so packages processed before they were scraped need not be extracted again.
+export const loadQuestionMap = () => {
+    const questions = JSON.parse(fs.readFileSync(QUESTIONS_PATH, 'utf8'))
+    const leakage = new Map((loadLeakageReport()?.questions || []).map(q => [q.questionId, q.flagged]))
+    const rawQuestions = fs.existsSync(RAW_QUESTIONS_PATH) ? JSON.parse(fs.readFileSync(RAW_QUESTIONS_PATH, 'utf8')) : []
+    const botForecasts = new Map(rawQuestions.filter(q => q.botForecasts).map(q => [q.id, q.botForecasts]))
+    const questionMap = {}
+    for (const q of questions) {
+        questionMap[q.id] = {
+            id: q.id,
+            title: q.questionTitle,
+            forecastType: getQuestionType(q),
+            range: q.range,
+            resolution: parseResolution(q),
+            informationUnits: q.informationPackages?.length ?? null,
+            informationFlagged: q.validation ? !q.validation.passed : null, // null: never checked
+            leakageFlagged: leakage.get(q.id) ?? null, // null: not audited
+            botForecasts: botForecasts.get(q.id) ?? q.botForecasts ?? [], // the tournament bots' own forecasts (metaculus-scraper.js)
+        }
+    }
+    return questionMap
+}
+
+export const indexById = (forecasts) => {
+    const map = {}
+    for (const f of forecasts) {
+        map[f.forecastId] = f
+    }
+    return map
+}
+
+// Convert array of objects to CSV (proper escaping)
+export const toCSV = (rows) => {
+    if (rows.length === 0) return ''
+    const headers = Object.keys(rows[0])
+    const lines = [headers.join(',')]
+    for (const row of rows) {
+        const values = headers.map(h => {
+            const v = row[h]
+            if (v === null || v === undefined) return ''
+            if (typeof v === 'string' && (v.includes(',') || v.includes('"') || v.includes('\n'))) {
+                return `"${v.replace(/"/g, '""')}"`
+            }
+            return v
+        })
+        lines.push(values.join(','))
+    }
+    return lines.join('\n')
+}
+
+// Parse CSV written by toCSV (quoted fields may contain commas, quotes and newlines)
+export const parseCSV = (text) => {
+    const records = []
+    let record = []
+    let field = ''
+    let inQuotes = false
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i]
+        if (inQuotes) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"'
+                i++
+            } else if (c === '"') {
+                inQuotes = false
+            } else {
+                field += c
+            }
+        } else if (c === '"') {
+            inQuotes = true
+        } else if (c === ',') {
+            record.push(field)
+            field = ''
+        } else if (c === '\n') {
+            record.push(field)
+            records.push(record)
+            record = []
+            field = ''
+        } else if (c !== '\r') {
+            field += c
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field)
+        records.push(record)
+    }
+
+    const [headers, ...rows] = records
+    if (!headers) return []
+    return rows.map(values => Object.fromEntries(headers.map((h, i) => {
+        const v = values[i] ?? ''
+        return [h, v !== '' && !Number.isNaN(Number(v)) ? Number(v) : v]
+    })))
+}
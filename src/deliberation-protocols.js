@@ -0,0 +1,345 @@
+import { z } from 'zod'
+import { getQuestionType, isMultipleChoice, formatForecast } from './question-types.js'
+
+// Deliberation protocols, selected per condition with "protocol" in the experiment file.
+// Each protocol has its own prompts and output schema; roles are assigned by position
+// (a condition may list its own "roles").
+//   open:            review of peers' full analyses (the original protocol)
+//   delphi:          anonymous estimates with brief reasons, iterated
+//   debate:          each agent first argues an assigned side (yes/no), then updates
+//   devils_advocate: one agent critiques the emerging consensus, the others deliberate
+// Peers are passed as [{ forecast, role, label }], label being "Forecaster {label}"; protocols
+// with "sequential" also render peers marked { updated } who already spoke in round 1.
+// Schemas are written for binary questions; the agent swaps in other question types' forecast field.
+
+export const DEFAULT_PROTOCOL = 'open'
+
+const NUMBER_WORDS = ['no', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten']
+// "two other expert forecasters", "one other forecaster"
+const countOthers = (n, noun) => `${NUMBER_WORDS[n] ?? n} other ${noun}${n === 1 ? '' : 's'}`
+
+const PROBABILITY = z.number().describe('Your final probabilistic forecast. Minimum 0, maximum 100.')
+const RATIONALE = z.string().describe('Your updated reasoning and analysis. If you change your forecast up or down, explain why you changed it and how much you changed it. If you do not change your forecast, explain why you did not change it.')
+
+// Probabilities for binary questions, quantiles for numeric and date questions, and probability
+// vectors for multiple-choice questions
+export const formatIndependentForecastAsProse = (question, forecast) => {
+    return `${forecast.rationale}\n\n**Forecast: ${formatForecast(question, forecast)}**`
+}
+
+const formatReviewAsProse = (question, forecast) => {
+    return `**Review:** ${forecast.review}\n\n**Rationale:** ${forecast.rationale}\n\n**Forecast: ${formatForecast(question, forecast)}**`
+}
+
+const joinAnalyses = (peers, format) => peers.map(format).join('\n\n---\n\n')
+
+// =============================================================================
+// OPEN REVIEW
+// =============================================================================
+
+const open = {
+    roles: ['member'],
+    defaultRoles: (size) => Array(size).fill('member'),
+    sequential: true,
+
+    schema: () => z.object({
+        review: z.string().describe('Your thoughts on the other forecasters reasoning'),
+        rationale: RATIONALE,
+        probability: PROBABILITY,
+    }),
+
+    formatOutput: (question, forecast) => formatReviewAsProse(question, forecast),
+
+    prompt: (question, peers, role, intro = `You are now in a deliberation phase with ${countOthers(peers.length, 'expert forecaster')}.`) => {
+        const otherAnalyses = joinAnalyses(peers, ({ forecast, label, updated }) => {
+            if (updated) {
+                return `## Forecaster ${label}'s Updated Analysis
+
+${formatReviewAsProse(question, forecast)}`
+            }
+            return `## Forecaster ${label}'s Analysis
+
+${formatIndependentForecastAsProse(question, forecast)}`
+        })
+        const turnTaking = peers.some(peer => peer.updated)
+            ? ' Forecasters speak in turn: those who spoke before you have already reviewed the others\' analyses, and you see their updated analyses.'
+            : ''
+
+        return `${intro}${turnTaking}
+
+Please review their analyses:
+
+---
+
+${otherAnalyses}
+
+---
+
+Consider their reasoning any new information or arguments carefully:
+- What evidence or arguments did they raise that you hadn't considered?
+- Do you find their reasoning convincing? Why or why not?
+- Should you update your forecast based on their input? If so, how much? If not, why not?
+
+Weigh your previous analysis and critically review your own reasoning and evidence in light of any new information or arguments, as if you were participating in a structured deliberation process.
+
+Based on your thoughtful analysis, provide a clear and concise review of all the arguments and information you have considered, your updated rationale, and your updated forecast. Do not feel obligated to update your forecast if you do not think it is warranted.
+
+Provide your updated analysis and forecast.`
+    },
+
+    followUpPrompt: (question, round, peers) => {
+        const otherAnalyses = joinAnalyses(peers, ({ forecast, label }) => {
+            return `## Forecaster ${label}'s Updated Analysis
+
+${formatReviewAsProse(question, forecast)}`
+        })
+
+        return `This is round ${round} of the deliberation. The other forecasters have reviewed the previous round and submitted updated analyses:
+
+---
+
+${otherAnalyses}
+
+---
+
+Consider how their views have changed since the previous round:
+- Did they raise new evidence or arguments, or respond convincingly to points made earlier?
+- Are they converging because of better arguments, or merely deferring to the group?
+- Should you update your forecast based on their input? If so, how much? If not, why not?
+
+Provide a clear and concise review of the discussion so far, your updated rationale, and your updated forecast. Do not feel obligated to update your forecast if you do not think it is warranted. Only declare a consensus if you believe further deliberation would not change your forecast.`
+    },
+}
+
+// =============================================================================
+// DELPHI
+// =============================================================================
+
+// Independent analyses are long; the panel sees their first sentences as the brief reasons
+const briefReasons = (text, maxSentences = 2) => {
+    const sentences = text.replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]+(\s|$)/g) || [text]
+    return sentences.slice(0, maxSentences).join('').trim()
+}
+
+// Panelists are lettered rather than numbered, and listed without any other identity
+const panelistLetter = (i) => String.fromCharCode(65 + i)
+
+const formatPanel = (question, estimates) => estimates
+    .map(({ forecast, reasons }, i) => `- Panelist ${panelistLetter(i)}: **${formatForecast(question, forecast)}**. Reasons: ${reasons}`)
+    .join('\n')
+
+const delphi = {
+    roles: ['panelist'],
+    defaultRoles: (size) => Array(size).fill('panelist'),
+
+    schema: () => z.object({
+        reasons: z.string().describe('The main reasons for your estimate, in at most three sentences'),
+        probability: PROBABILITY,
+    }),
+
+    formatOutput: (question, forecast) => `**Reasons:** ${forecast.reasons}\n\n**Forecast: ${formatForecast(question, forecast)}**`,
+
+    prompt: (question, peers) => {
+        const panel = formatPanel(question, peers.map(({ forecast }) => ({ forecast, reasons: briefReasons(forecast.rationale) })))
+
+        return `You are now taking part in a Delphi panel with ${countOthers(peers.length, 'forecaster')}. Panelists stay anonymous and only share their estimates with brief reasons.
+
+The other panelists' estimates:
+
+${panel}
+
+Reconsider your estimate in light of the panel's estimates and reasons. Where your estimate differs from theirs, ask whether they are likely to know something you don't, or whether you have good reasons to hold your position.
+
+Give the main reasons for your estimate in at most three sentences, and your revised forecast. Do not feel obligated to change your estimate if you do not think it is warranted.`
+    },
+
+    followUpPrompt: (question, round, peers) => {
+        const panel = formatPanel(question, peers.map(({ forecast }) => ({ forecast, reasons: forecast.reasons })))
+
+        return `This is round ${round} of the Delphi panel. The other panelists' revised estimates:
+
+${panel}
+
+Reconsider your estimate once more. Give the main reasons for your estimate in at most three sentences, and your revised forecast. Only declare a consensus if you believe further rounds would not change your estimate.`
+    },
+}
+
+// =============================================================================
+// STRUCTURED DEBATE
+// =============================================================================
+
+// Sides are named yes/no; for other question types they stand for high/low outcomes, or for
+// and against the option the group favors
+const describeSide = (question, side) => {
+    const type = getQuestionType(question)
+    if (type === 'binary') return side === 'yes' ? 'the question will resolve Yes' : 'the question will resolve No'
+    if (isMultipleChoice(question)) {
+        return side === 'yes' ? 'the option the group currently considers most likely will be the outcome' : 'a different option will be the outcome'
+    }
+    const direction = type === 'date' ? { yes: 'later', no: 'earlier' } : { yes: 'higher', no: 'lower' }
+    return `the outcome will be ${direction[side]} than the group currently expects`
+}
+
+const formatDebateAsProse = (question, forecast, side) => {
+    return `**Argument that ${describeSide(question, side)}:** ${forecast.argument}\n\n${formatReviewAsProse(question, forecast)}`
+}
+
+const debate = {
+    roles: ['yes', 'no'],
+    defaultRoles: (size) => Array.from({ length: size }, (_, i) => i % 2 === 0 ? 'yes' : 'no'),
+
+    schema: () => z.object({
+        argument: z.string().describe('The strongest case for your assigned side, regardless of your own view'),
+        review: z.string().describe('Your thoughts on the arguments made on both sides'),
+        rationale: RATIONALE,
+        probability: PROBABILITY,
+    }),
+
+    formatOutput: (question, forecast, role) => formatDebateAsProse(question, forecast, role),
+
+    prompt: (question, peers, role) => {
+        const otherAnalyses = joinAnalyses(peers, ({ forecast, label, role: side }) => {
+            return `## Forecaster ${label}'s Analysis (assigned to argue next that ${describeSide(question, side)})
+
+${formatIndependentForecastAsProse(question, forecast)}`
+        })
+
+        return `You are now in a structured debate with ${countOthers(peers.length, 'expert forecaster')}. Each forecaster has been assigned a side to argue, regardless of their own view.
+
+Your assigned side: argue that ${describeSide(question, role)}.
+
+The other forecasters' independent analyses:
+
+---
+
+${otherAnalyses}
+
+---
+
+First, make the strongest case you can for your assigned side, drawing on the evidence in all analyses.
+
+Then step out of your assigned role. Weigh the arguments for both sides and critically review your own previous analysis: which arguments hold up, and which don't?
+
+Provide your argument, a clear and concise review of the arguments on both sides, your updated rationale, and your updated forecast. Your forecast should reflect your own judgement, not your assigned side. Do not feel obligated to update your forecast if you do not think it is warranted.`
+    },
+
+    followUpPrompt: (question, round, peers, role) => {
+        const otherAnalyses = joinAnalyses(peers, ({ forecast, label, role: side }) => {
+            return `## Forecaster ${label}'s Updated Analysis
+
+${formatDebateAsProse(question, forecast, side)}`
+        })
+
+        return `This is round ${round} of the debate. The other forecasters have made their arguments and submitted updated analyses:
+
+---
+
+${otherAnalyses}
+
+---
+
+Argue your assigned side again (that ${describeSide(question, role)}), responding to the strongest arguments made against it. Then step out of your role, weigh both sides, and give your review, your updated rationale and your honest updated forecast. Only declare a consensus if you believe further debate would not change your forecast.`
+    },
+}
+
+// =============================================================================
+// DEVIL'S ADVOCATE
+// =============================================================================
+
+// The advocate's critique reaches the other members one round later, so the protocol
+// needs at least two rounds
+const formatCritiqueAsProse = (question, forecast) => {
+    return `**Critique:** ${forecast.critique}\n\n**Rationale:** ${forecast.rationale}\n\n**Forecast: ${formatForecast(question, forecast)}**`
+}
+
+const formatDevilsAdvocateOutput = (question, forecast, role) => role === 'advocate'
+    ? formatCritiqueAsProse(question, forecast)
+    : formatReviewAsProse(question, forecast)
+
+const devilsAdvocate = {
+    roles: ['member', 'advocate'],
+    defaultRoles: (size) => Array.from({ length: size }, (_, i) => i === size - 1 ? 'advocate' : 'member'),
+    minRounds: 2,
+
+    schema: (role) => role === 'advocate'
+        ? z.object({
+            critique: z.string().describe('Your critique of the emerging consensus: weak assumptions, overlooked evidence and neglected scenarios'),
+            rationale: z.string().describe('Your own reasoning after the critique'),
+            probability: PROBABILITY,
+        })
+        : open.schema(),
+
+    formatOutput: formatDevilsAdvocateOutput,
+
+    prompt: (question, peers, role) => {
+        if (role !== 'advocate') {
+            return open.prompt(question, peers, role, `You are now in a deliberation phase with ${countOthers(peers.length, 'expert forecaster')}. One of them has been assigned the role of devil's advocate and will critique the group's emerging consensus in the next round.`)
+        }
+
+        const otherAnalyses = joinAnalyses(peers, ({ forecast, label }) => {
+            return `## Forecaster ${label}'s Analysis
+
+${formatIndependentForecastAsProse(question, forecast)}`
+        })
+
+        return `You are now in a deliberation phase with ${countOthers(peers.length, 'expert forecaster')}. You have been assigned the role of devil's advocate.
+
+Their analyses:
+
+---
+
+${otherAnalyses}
+
+---
+
+Identify the emerging consensus: the view most forecasters, including you, share. Critique it as forcefully as the evidence allows: its weakest assumptions, the evidence it overlooks, and the scenarios it neglects. The other forecasters will read your critique.
+
+Then give your own honest rationale and forecast; they need not follow your critique.`
+    },
+
+    followUpPrompt: (question, round, peers, role) => {
+        const otherAnalyses = joinAnalyses(peers, ({ forecast, label, role: peerRole }) => {
+            const title = peerRole === 'advocate' ? `Forecaster ${label}'s Critique (devil's advocate)` : `Forecaster ${label}'s Updated Analysis`
+            return `## ${title}
+
+${formatDevilsAdvocateOutput(question, forecast, peerRole)}`
+        })
+
+        const instructions = role === 'advocate'
+            ? 'Critique the consensus as it now stands, focusing on the points the group has not yet answered convincingly. Then give your own honest rationale and forecast.'
+            : 'Consider the devil\'s advocate\'s critique carefully: does it expose real weaknesses in the group\'s view, or can they be answered? Provide a clear and concise review, your updated rationale, and your updated forecast. Do not feel obligated to update your forecast if you do not think it is warranted.'
+
+        return `This is round ${round} of the deliberation. The other forecasters' latest contributions:
+
+---
+
+${otherAnalyses}
+
+---
+
+${instructions} Only declare a consensus if you believe further deliberation would not change your forecast.`
+    },
+}
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+export const PROTOCOLS = {
+    open,
+    delphi,
+    debate,
+    devils_advocate: devilsAdvocate,
+}
+
+export const getProtocol = (name = DEFAULT_PROTOCOL) => {
+    const protocol = PROTOCOLS[name]
+    if (!protocol) throw new Error(`Unknown deliberation protocol: ${name} (${Object.keys(PROTOCOLS).join(', ')})`)
+    return protocol
+}
+
+// Protocol name and per-position roles of an experiment condition
+export const getConditionProtocol = (condition, size) => {
+    const name = condition.protocol || DEFAULT_PROTOCOL
+    return { protocol: name, roles: condition.roles || getProtocol(name).defaultRoles(size) }
+}
@@ -1,153 +1,149 @@
 import fs from 'fs'
-import { deliberativeForecastingAgent } from './deliberative-forecasting-agent.js'
+import { deliberativeForecastingAgent, buildDeliberativeForecastRequest } from './deliberative-forecasting-agent.js'
+import { hasFlag, getNumberArg } from './cliUtils.js'
+import { excludeFlagged } from './leakage-checks.js'
+import { loadExperiment, getInformation, EXPERIMENT_PATH } from './experiment.js'
+import { loadManifest, getGroupComposition, getTurns } from './manifest.js'
+import { compareCacheKey } from './response-cache.js'
+import { createBudget, formatBudget, sumUsage } from './costs.js'
+import { createScheduler } from './scheduler.js'
+import { openJournal, getUnfinishedJobs } from './journal.js'
+import { getForecastSpread } from './question-types.js'
+import { getConditionProtocol, getProtocol, DEFAULT_PROTOCOL } from './deliberation-protocols.js'
+import {
+    deliberativeForecastId,
+    deliberativeForecastPath,
+    loadIndependentForecast,
+    loadDeliberativeForecast,
+    getPreviousRounds,
+    getEarlierSpeakers,
+} from './forecast-files.js'
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
-const TEST_MODE = process.argv.includes('--test')
-const MODELS = ['pro', 'sonnet', 'gpt5']
-const CONDITIONS = ['diverse_full', 'diverse_info', 'homo_full', 'diverse_none', 'homo_none', 'homo_info']
-const MAX_RETRIES_PER_QUESTION = 3
-const RETRY_DELAY_MS = 60_000 // 1 minute
-const MAX_TOTAL_FAILURES = 5 // Stop if this many questions have persistent failures
-
+const TEST_MODE = hasFlag('--test')
+const RETRY_FAILED = hasFlag('--retry-failed') // only groups with jobs the journal lists as failed or interrupted
+const EXCLUDE_FLAGGED = hasFlag('--exclude-flagged') // skip questions flagged by the leakage audit (leakage-audit.js)
+const MAX_ROUNDS = getNumberArg('--rounds', 1) // deliberation rounds per group
+const CONVERGENCE_TOLERANCE = getNumberArg('--tolerance', 5) // stop once the group's spread (pp, or % of range for medians) falls below this
+const EXPERIMENT = loadExperiment()
+const minRoundsOf = (condition) => getProtocol(EXPERIMENT.conditions[condition].protocol || DEFAULT_PROTOCOL).minRounds ?? 1
+// Conditions whose protocol needs more rounds than --rounds allows are skipped
+const SKIPPED_CONDITIONS = Object.keys(EXPERIMENT.conditions).filter(c => minRoundsOf(c) > MAX_ROUNDS)
+const CONDITIONS = Object.keys(EXPERIMENT.conditions).filter(c => !SKIPPED_CONDITIONS.includes(c))
+const budget = createBudget() // --max-usd
+const scheduler = createScheduler() // per-provider limits from config/models.json
+const journal = openJournal('deliberative') // job id: "{forecastId}#{round}"
 
 // =============================================================================
-// SEEDED RANDOMIZATION
+// STOPPING RULE
 // =============================================================================
 
-const seededRandom = (seed) => {
-    const x = Math.sin(seed * 9999) * 10000
-    return x - Math.floor(x)
-}
+// No stop before the protocol's minimum rounds (e.g. the devil's advocate's critique must reach
+// the group even if it already agrees)
+const getStopReason = (group, round) => {
+    if (round < minRoundsOf(group.condition)) return null
 
-const seededShuffle = (array, seed) => {
-    const result = [...array]
-    let m = result.length
-    while (m) {
-        const i = Math.floor(seededRandom(seed + m) * m--)
-        ;[result[m], result[i]] = [result[i], result[m]]
-    }
-    return result
-}
+    const latest = group.records.map(record => record.rounds[round - 1].forecast)
+    const spread = getForecastSpread(group.question, latest)
 
-// =============================================================================
-// GROUP COMPOSITION
-// =============================================================================
-
-const getGroupComposition = (condition, questionId, questionIndex) => {
-    switch (condition) {
-        case 'diverse_full':
-            return [
-                { model: 'pro', infoLabel: 'full' },
-                { model: 'sonnet', infoLabel: 'full' },
-                { model: 'gpt5', infoLabel: 'full' },
-            ]
-
-        case 'diverse_info':
-            const infoLabels = seededShuffle(['info1', 'info2', 'info3'], questionId)
-            const models = seededShuffle([...MODELS], questionId + 1)
-            return [
-                { model: models[0], infoLabel: infoLabels[0] },
-                { model: models[1], infoLabel: infoLabels[1] },
-                { model: models[2], infoLabel: infoLabels[2] },
-            ]
-
-        case 'homo_full':
-            const homoModel = MODELS[questionIndex % 3]
-            return [
-                { model: homoModel, infoLabel: 'full', instance: 1 },
-                { model: homoModel, infoLabel: 'full', instance: 2 },
-                { model: homoModel, infoLabel: 'full', instance: 3 },
-            ]
-
-        case 'diverse_none':
-            // Diverse models, all with no information
-            return [
-                { model: 'pro', infoLabel: 'none' },
-                { model: 'sonnet', infoLabel: 'none' },
-                { model: 'gpt5', infoLabel: 'none' },
-            ]
-
-        case 'homo_none':
-            // Same model (rotating), all with no information
-            const homoNoneModel = MODELS[questionIndex % 3]
-            return [
-                { model: homoNoneModel, infoLabel: 'none', instance: 1 },
-                { model: homoNoneModel, infoLabel: 'none', instance: 2 },
-                { model: homoNoneModel, infoLabel: 'none', instance: 3 },
-            ]
-
-        case 'homo_info':
-            // Same model (rotating), distributed info (each instance has different info)
-            const homoInfoModel = MODELS[questionIndex % 3]
-            return [
-                { model: homoInfoModel, infoLabel: 'info1', instance: 1 },
-                { model: homoInfoModel, infoLabel: 'info2', instance: 2 },
-                { model: homoInfoModel, infoLabel: 'info3', instance: 3 },
-            ]
-
-        default:
-            throw new Error(`Unknown condition: ${condition}`)
-    }
+    if (spread < CONVERGENCE_TOLERANCE) return 'converged'
+    if (MAX_ROUNDS > 1 && latest.every(f => f.consensus === true)) return 'consensus'
+    if (round >= MAX_ROUNDS) return 'max_rounds'
+    return null
 }
 
-// =============================================================================
-// INDEPENDENT FORECAST LOADING
-// =============================================================================
-
-const loadIndependentForecast = (questionId, model, infoLabel, instance = null) => {
-    const suffix = instance ? `-${instance}` : ''
-    const filename = `data/independent-forecasts/${questionId}-${model}-${infoLabel}${suffix}.json`
-
-    if (!fs.existsSync(filename)) {
-        return null
+// Files are rewritten only if this run added rounds or the group now stops earlier or for another
+// reason, e.g. a rerun with fewer --rounds: rounds after the stop round are dropped, so the last
+// stored round is always the group's final forecast. Single-round files written before stop
+// reasons were recorded are left as they are.
+const saveStopReason = (group, stopRound) => {
+    for (const [i, record] of group.records.entries()) {
+        const stopChanged = record.stopReason !== undefined && record.stopReason !== group.stopReason
+        if (!group.updated && record.rounds.length === stopRound && !stopChanged) continue
+        const rounds = record.rounds.slice(0, stopRound)
+        group.records[i] = {
+            ...record,
+            forecast: rounds.at(-1).forecast,
+            usage: sumUsage(rounds.map(r => r.usage)),
+            rounds,
+            stopReason: group.stopReason,
+        }
+        fs.writeFileSync(deliberativeForecastPath(record.forecastId), JSON.stringify(group.records[i], null, 2))
     }
-
-    return JSON.parse(fs.readFileSync(filename, 'utf8'))
 }
 
 // =============================================================================
 // SINGLE DELIBERATIVE FORECAST
 // =============================================================================
 
-const generateSingleDeliberativeForecast = async (question, condition, groupComposition, independentForecasts, position) => {
+const generateSingleDeliberativeForecast = async (group, position, round) => {
+    const { question, condition, groupComposition, independentForecasts } = group
     const agent = groupComposition[position - 1]
-    const forecastId = `${question.id}-${condition}-${agent.model}-${position}`
-    const outputFile = `data/deliberative-forecasts/${forecastId}.json`
-
-    // Skip if already exists
-    if (fs.existsSync(outputFile)) {
-        return { status: 'cached', forecastId }
+    const forecastId = deliberativeForecastId(question.id, condition, agent.model, position)
+    const outputFile = deliberativeForecastPath(forecastId)
+
+    const args = {
+        question,
+        information: getInformation(question, agent.infoLabel),
+        independentForecast: independentForecasts[position - 1],
+        otherForecasts: independentForecasts.filter((_, i) => i !== position - 1),
+        model: agent.model,
+        condition,
+        position,
+        round,
+        previousRounds: getPreviousRounds(group.records, position, round, group.turns),
+        earlierSpeakers: getEarlierSpeakers(group.records, position, group.turns),
+        turns: group.turns,
+        ...getConditionProtocol(EXPERIMENT.conditions[condition], groupComposition.length),
     }
 
-    const ownForecast = independentForecasts[position - 1]
-    const otherForecasts = independentForecasts.filter((_, i) => i !== position - 1)
-
-    // Get information text
-    const information = agent.infoLabel === 'full'
-        ? question.informationPackages.join('\n\n')
-        : agent.infoLabel === 'none'
-        ? 'No additional information available.'
-        : question.informationPackages[parseInt(agent.infoLabel.slice(-1)) - 1]
+    // Skip if this round already exists and was generated from the same request
+    const existing = group.records[position - 1]
+    const { request, cacheKey } = buildDeliberativeForecastRequest(args)
+    if (existing && existing.rounds.length >= round) {
+        if (compareCacheKey(existing.rounds[round - 1].cacheKey, cacheKey) !== 'stale') {
+            return { status: 'cached', forecastId }
+        }
+    }
 
+    const jobId = `${forecastId}#${round}`
+    journal.queued(jobId)
     try {
-        const result = await deliberativeForecastingAgent({
-            question,
-            information,
-            independentForecast: ownForecast,
-            otherForecasts,
-            model: agent.model,
-            condition,
-            position,
-        })
+        // The budget is checked when the call actually starts, on every attempt
+        const generated = await scheduler.run(agent.model, (attempt) => budget.run(agent.model, request, () => {
+            journal.running(jobId, attempt)
+            return deliberativeForecastingAgent(args)
+        }), { label: jobId })
+
+        if (!generated) {
+            return { status: 'over_budget', forecastId }
+        }
+        const { cacheKey, ...result } = generated
+
+        // A regenerated round invalidates any later rounds
+        const rounds = [
+            ...(existing?.rounds.slice(0, round - 1) || []),
+            { round, forecast: result.forecast, usage: result.usage, cacheKey },
+        ]
+        const record = {
+            ...result,
+            usage: sumUsage(rounds.map(r => r.usage)),
+            rounds,
+            stopReason: null,
+        }
 
-        fs.writeFileSync(outputFile, JSON.stringify(result, null, 2))
+        fs.writeFileSync(outputFile, JSON.stringify(record, null, 2))
+        group.records[position - 1] = record
+        group.updated = true
+        journal.succeeded(jobId)
 
         return { status: 'success', forecastId }
     } catch (error) {
-        return { status: 'error', forecastId, error: error.message }
+        journal.failed(jobId, error)
+        return { status: 'error', forecastId, kind: error.kind, attempts: error.attempts, error: error.message }
     }
 }
 
@@ -155,25 +151,56 @@ const generateSingleDeliberativeForecast = async (question, condition, groupComp
 // MAIN EXECUTION
 // =============================================================================
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+// Sequential ordering: agents update one at a time in speaking order, each seeing the
+// earlier speakers' output of the same round; a failed turn ends the round
+const speakInTurn = async (group, round) => {
+    const positions = group.turns.map((turn, i) => ({ turn, position: i + 1 })).sort((a, b) => a.turn - b.turn)
+    const results = []
+    for (const { position } of positions) {
+        const result = await generateSingleDeliberativeForecast(group, position, round)
+        results.push(result)
+        if (result.status === 'error' || result.status === 'over_budget') break
+    }
+    return results
+}
+
+// All agents of a group finish round k before any of them starts round k+1.
+// Incomplete groups (failed or over budget) stop; the scheduler runs all groups side by side.
+const processGroup = async (group) => {
+    const results = []
+
+    for (let round = 1; round <= MAX_ROUNDS; round++) {
+        const roundResults = group.turns
+            ? await speakInTurn(group, round)
+            : await Promise.all(group.groupComposition.map((_, i) =>
+                generateSingleDeliberativeForecast(group, i + 1, round)
+            ))
+        results.push(...roundResults)
+
+        if (roundResults.some(r => r.status === 'error' || r.status === 'over_budget')) {
+            group.failed = true
+            break
+        }
+        group.stopReason = getStopReason(group, round)
+        if (group.stopReason) {
+            saveStopReason(group, round)
+            break
+        }
+    }
 
-// Task definition for retry tracking
-const createTask = (question, condition, groupComposition, independentForecasts, position) => ({
-    question,
-    condition,
-    groupComposition,
-    independentForecasts,
-    position,
-    forecastId: `${question.id}-${condition}-${groupComposition[position - 1].model}-${position}`,
-})
+    return results
+}
 
-const processQuestion = async (question, qIndex) => {
-    const allTasks = []
+const processQuestion = async (question, manifest, unfinished = null) => {
+    const groups = []
     let skipped = 0
 
-    // Collect all tasks for this question
+    // Collect all groups for this question
     for (const condition of CONDITIONS) {
-        const groupComposition = getGroupComposition(condition, question.id, qIndex)
+        const groupComposition = getGroupComposition(manifest, condition, question.id)
+        if (unfinished && !groupComposition.some((agent, i) => unfinished.has(deliberativeForecastId(question.id, condition, agent.model, i + 1)))) {
+            continue
+        }
 
         // Load independent forecasts
         const independentForecasts = groupComposition.map(agent =>
@@ -182,162 +209,116 @@ const processQuestion = async (question, qIndex) => {
 
         // Check if all independent forecasts exist
         if (independentForecasts.some(f => f === null)) {
-            console.log(`  Skipping ${condition}: missing independent forecasts`)
-            skipped += 3
+            console.log(`  Skipping ${question.id} ${condition}: missing independent forecasts`)
+            skipped += groupComposition.length
             continue
         }
 
-        // Add all 3 positions for this condition
-        for (let position = 1; position <= 3; position++) {
-            allTasks.push(createTask(question, condition, groupComposition, independentForecasts, position))
-        }
-    }
-
-    if (allTasks.length === 0) {
-        return { results: [], persistentFailures: 0, skipped }
-    }
-
-    let pendingTasks = [...allTasks]
-    let allResults = []
-    let retryCount = 0
-
-    while (pendingTasks.length > 0 && retryCount < MAX_RETRIES_PER_QUESTION) {
-        if (retryCount > 0) {
-            console.log(`  ⏳ Retry ${retryCount}/${MAX_RETRIES_PER_QUESTION}: waiting 60s...`)
-            await sleep(RETRY_DELAY_MS)
-            console.log(`  🔄 Retrying ${pendingTasks.length} failed forecast(s)...`)
-        }
-
-        // Run pending tasks in parallel
-        const promises = pendingTasks.map(task =>
-            generateSingleDeliberativeForecast(
-                task.question,
-                task.condition,
-                task.groupComposition,
-                task.independentForecasts,
-                task.position
-            )
-        )
-        const results = await Promise.all(promises)
-
-        // Separate successes/cached from failures
-        const succeeded = results.filter(r => r.status === 'success' || r.status === 'cached')
-        const failed = results.filter(r => r.status === 'error')
-
-        allResults.push(...succeeded)
-
-        if (failed.length === 0) {
-            // All done - clear pending to indicate success
-            pendingTasks = []
-            break
-        }
-
-        // Log failures
-        failed.forEach(r => {
-            console.log(`    ✗ ${r.forecastId}: ${r.error}`)
+        groups.push({
+            question,
+            condition,
+            groupComposition,
+            turns: getTurns(groupComposition),
+            independentForecasts,
+            records: groupComposition.map((agent, i) =>
+                loadDeliberativeForecast(deliberativeForecastId(question.id, condition, agent.model, i + 1))
+            ),
+            stopReason: null,
+            failed: false,
+            updated: false,
         })
-
-        // Prepare for retry
-        pendingTasks = pendingTasks.filter(task =>
-            failed.some(f => f.forecastId === task.forecastId)
-        )
-
-        retryCount++
     }
 
-    // Track persistent failures
-    const persistentFailures = pendingTasks.length
-    if (persistentFailures > 0) {
-        allResults.push(...pendingTasks.map(task => ({
-            status: 'persistent_failure',
-            forecastId: task.forecastId,
-        })))
-    }
+    const results = (await Promise.all(groups.map(processGroup))).flat()
 
-    return { results: allResults, persistentFailures, skipped }
-}
+    results.filter(r => r.status === 'error').forEach(r => {
+        console.log(`    ✗ ${r.forecastId}: ${r.kind} after ${r.attempts} attempt(s): ${r.error}`)
+    })
 
-const BATCH_SIZE = 20 // Process this many questions concurrently
+    return { results, skipped }
+}
 
 const main = async () => {
     let questions = JSON.parse(fs.readFileSync('data/processed/questions.json', 'utf8'))
+    const manifest = loadManifest(EXPERIMENT, questions)
+
+    if (EXCLUDE_FLAGGED) questions = excludeFlagged(questions)
 
     if (TEST_MODE) {
         questions = questions.slice(0, 2)
         console.log('TEST MODE: Running on first 2 questions')
     }
 
-    console.log(`Processing ${questions.length} questions in batches of ${BATCH_SIZE}...`)
-    console.log(`Config: ${MAX_RETRIES_PER_QUESTION} retries/question, ${MAX_TOTAL_FAILURES} max total failures`)
+    // Whole groups are re-run, since later rounds depend on every member; finished rounds stay cached
+    let unfinished = null
+    if (RETRY_FAILED) {
+        const jobs = getUnfinishedJobs('deliberative')
+        unfinished = new Set([...jobs].map(job => job.split('#')[0]))
+        questions = questions.filter(q => [...unfinished].some(id => id.startsWith(`${q.id}-`)))
+        console.log(`RETRY FAILED: ${jobs.size} failed or interrupted job(s) in ${questions.length} question(s)`)
+    }
+
+    console.log(`Processing ${questions.length} questions...`)
+    console.log(`Experiment: ${EXPERIMENT.name} (${EXPERIMENT_PATH}), ${CONDITIONS.length} conditions`)
+    console.log(`Deliberation: up to ${MAX_ROUNDS} round(s), convergence tolerance ${CONVERGENCE_TOLERANCE}pp`)
+    console.log(`Budget: ${budget.maxUsd === null ? 'no cap' : `$${budget.maxUsd.toFixed(2)}`}`)
+    for (const condition of SKIPPED_CONDITIONS) {
+        const { protocol } = EXPERIMENT.conditions[condition]
+        console.log(`⚠️  Skipping ${condition}: the ${protocol} protocol needs --rounds ${minRoundsOf(condition)} or more`)
+    }
 
     fs.mkdirSync('data/deliberative-forecasts', { recursive: true })
 
     let totalCompleted = 0
     let totalCached = 0
     let totalSkipped = 0
-    let totalPersistentFailures = 0
+    let totalOverBudget = 0
+    let failures = []
     let questionsWithFailures = []
+    let questionsDone = 0
 
-    // Process questions in batches
-    for (let batchStart = 0; batchStart < questions.length; batchStart += BATCH_SIZE) {
-        const batchEnd = Math.min(batchStart + BATCH_SIZE, questions.length)
-        const batch = questions.slice(batchStart, batchEnd)
-
-        console.log(`\n[Batch ${Math.floor(batchStart/BATCH_SIZE) + 1}/${Math.ceil(questions.length/BATCH_SIZE)}] Questions ${batchStart + 1}-${batchEnd}`)
-
-        // Process all questions in batch concurrently
-        const batchPromises = batch.map((question, i) => {
-            const qIndex = batchStart + i
-            return processQuestion(question, qIndex).then(result => ({
-                ...result,
-                question,
-                qIndex
-            }))
-        })
-
-        const batchResults = await Promise.all(batchPromises)
-
-        // Process results
-        for (const { results, persistentFailures, skipped, question, qIndex } of batchResults) {
+    await Promise.all(questions.map((question, qIndex) =>
+        processQuestion(question, manifest, unfinished).then(({ results, skipped }) => {
             const completed = results.filter(r => r.status === 'success').length
             const cached = results.filter(r => r.status === 'cached').length
+            const failed = results.filter(r => r.status === 'error')
 
             totalCompleted += completed
             totalCached += cached
             totalSkipped += skipped
-            totalPersistentFailures += persistentFailures
-
-            if (completed > 0 || persistentFailures > 0) {
-                console.log(`  Q${qIndex + 1} (${question.id}): ${completed} completed, ${cached} cached, ${persistentFailures} failed`)
-            }
-
-            // Track questions with persistent failures
-            if (persistentFailures > 0) {
-                questionsWithFailures.push(question.id)
+            totalOverBudget += results.filter(r => r.status === 'over_budget').length
+            failures.push(...failed)
+            if (failed.length > 0) questionsWithFailures.push(question.id)
+            questionsDone++
 
-                if (questionsWithFailures.length >= MAX_TOTAL_FAILURES) {
-                    console.error(`\n❌ STOPPING: ${MAX_TOTAL_FAILURES} questions with persistent failures`)
-                    console.error(`Failed questions: ${questionsWithFailures.join(', ')}`)
-                    console.error(`Fix the issue and re-run. Cached forecasts will be skipped.`)
-                    process.exit(1)
-                }
+            if (completed > 0 || failed.length > 0) {
+                console.log(`  [${questionsDone}/${questions.length}] Q${qIndex + 1} (${question.id}): ${completed} completed, ${cached} cached, ${failed.length} failed, spent ${formatBudget(budget)}`)
             }
-        }
+        })
+    ))
 
-        console.log(`  Batch total: ${batchResults.reduce((s, r) => s + r.results.filter(x => x.status === 'success').length, 0)} completed`)
-    }
+    const failuresByKind = {}
+    for (const f of failures) failuresByKind[f.kind] = (failuresByKind[f.kind] || 0) + 1
 
     console.log(`\n${'='.repeat(60)}`)
-    if (questionsWithFailures.length > 0) {
+    if (failures.length > 0) {
         console.log(`⚠️  COMPLETED WITH FAILURES`)
         console.log(`  Failed questions: ${questionsWithFailures.join(', ')}`)
+    } else if (budget.exhausted) {
+        console.log(`⚠️  STOPPED AT BUDGET`)
     } else {
         console.log(`✅ DONE!`)
     }
     console.log(`  Completed: ${totalCompleted}`)
     console.log(`  Cached: ${totalCached}`)
     console.log(`  Skipped: ${totalSkipped}`)
-    console.log(`  Persistent failures: ${totalPersistentFailures}`)
+    console.log(`  Over budget: ${totalOverBudget}`)
+    console.log(`  Persistent failures: ${failures.length}${failures.length > 0 ? ` (${Object.entries(failuresByKind).map(([k, n]) => `${k}: ${n}`).join(', ')})` : ''}`)
+    for (const [provider, reason] of Object.entries(scheduler.disabledProviders())) {
+        console.log(`  Disabled provider ${provider}: ${reason}`)
+    }
+    console.log(`  Spent: ${formatBudget(budget)}`)
+    if (failures.length > 0 || budget.exhausted) process.exit(1)
 }
 
 main().catch(console.error)
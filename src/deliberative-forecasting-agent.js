@@ -1,17 +1,25 @@
 import { generateObject } from 'ai'
-import { getOpenModel } from './agentUtils.js'
+import { getOpenModel, getProviderOptions } from './agentUtils.js'
+import { computeCacheKey } from './response-cache.js'
+import {
+    getQuestionType,
+    getForecastField,
+    getScenarios,
+    forecastSchema,
+    describeAnswerSpace,
+    describeForecastFormat,
+    repairForecast,
+} from './question-types.js'
+import { getProtocol, formatIndependentForecastAsProse, DEFAULT_PROTOCOL } from './deliberation-protocols.js'
+import { deliberativeForecastId } from './forecast-files.js'
 import { z } from 'zod'
 
 
-const formatIndependentForecastAsProse = (forecast) => {
-    return `${forecast.rationale}\n\n**Forecast: ${forecast.probability}%**`
-}
-
-
-const buildDeliberationMessages = (independentForecast, otherForecasts, question, information) => {
+const capitalize = (text) => text[0].toUpperCase() + text.slice(1)
 
-    // Message 1: Original independent forecast prompt (reconstructed)
-    const originalPrompt = `You are a professional forecaster interviewing for a job.
+const buildNonBinaryOriginalPrompt = (question, information) => {
+    const [first, second] = getScenarios(question)
+    return `You are a professional forecaster interviewing for a job.
 
 Your interview question is:
 ${question.questionTitle}
@@ -24,6 +32,8 @@ ${question.questionResolutionCriteria}
 
 ${question.questionFinePrint}
 
+${describeAnswerSpace(question)}
+
 Your research assistant's report says:
 ${information}
 
@@ -32,58 +42,88 @@ Today is ${question.date}.
 Before answering you write:
 (a) The time left until the outcome is known.
 (b) The status quo outcome if nothing changed.
-(c) A scenario that results in a No outcome.
-(d) A scenario that results in a Yes outcome.
+(c) ${capitalize(first.description)}.
+(d) ${capitalize(second.description)}.
 (e) Your rationale, explaining your reasoning and evidence.
-(f) Your final probabilistic forecast (0-100).`
-
-    // Message 2: Agent's own independent forecast as prose
-    const ownForecastProse = formatIndependentForecastAsProse(independentForecast)
+(f) ${capitalize(describeForecastFormat(question))}.`
+}
 
-    // Message 3: Deliberation prompt with other forecasters' analyses
-    const otherAnalyses = otherForecasts.map((f, i) => {
-        return `## Forecaster ${i + 2}'s Analysis
 
-${formatIndependentForecastAsProse(f)}`
-    }).join('\n\n---\n\n')
+// previousRounds: [{ own, others }] with the deliberative outputs of rounds 1..k-1;
+// otherRoles are the peers' roles, in the order of otherForecasts; earlierSpeakers (sequential
+// ordering) holds the round-1 outputs shown instead of independent forecasts, null otherwise
+const buildDeliberationMessages = ({ protocol, role, otherRoles, earlierSpeakers }, independentForecast, otherForecasts, question, information, previousRounds = []) => {
+    const peers = (forecasts) => forecasts.map((forecast, i) => ({ forecast, role: otherRoles[i], label: i + 2 }))
+    const firstRoundPeers = peers(otherForecasts).map((peer, i) => earlierSpeakers?.[i]
+        ? { ...peer, forecast: earlierSpeakers[i], updated: true }
+        : peer)
 
-    const deliberationPrompt = `You are now in a deliberation phase with two other expert forecasters.
+    // Message 1: Original independent forecast prompt (reconstructed)
+    const originalPrompt = getQuestionType(question) !== 'binary' ? buildNonBinaryOriginalPrompt(question, information) : `You are a professional forecaster interviewing for a job.
 
-Please review their analyses:
+Your interview question is:
+${question.questionTitle}
 
----
+Question background:
+${question.questionDescription}
 
-${otherAnalyses}
+Resolution criteria:
+${question.questionResolutionCriteria}
 
----
+${question.questionFinePrint}
 
-Consider their reasoning any new information or arguments carefully:
-- What evidence or arguments did they raise that you hadn't considered?
-- Do you find their reasoning convincing? Why or why not?
-- Should you update your forecast based on their input? If so, how much? If not, why not?
+Your research assistant's report says:
+${information}
 
-Weigh your previous analysis and critically review your own reasoning and evidence in light of any new information or arguments, as if you were participating in a structured deliberation process.
+Today is ${question.date}.
 
-Based on your thoughtful analysis, provide a clear and concise review of all the arguments and information you have considered, your updated rationale, and your updated forecast. Do not feel obligated to update your forecast if you do not think it is warranted.
+Before answering you write:
+(a) The time left until the outcome is known.
+(b) The status quo outcome if nothing changed.
+(c) A scenario that results in a No outcome.
+(d) A scenario that results in a Yes outcome.
+(e) Your rationale, explaining your reasoning and evidence.
+(f) Your final probabilistic forecast (0-100).`
 
-Provide your updated analysis and forecast.`
+    // Message 2: Agent's own independent forecast as prose
+    const ownForecastProse = formatIndependentForecastAsProse(question, independentForecast)
 
-    return [
+    // Message 3: The protocol's deliberation prompt with the other forecasters' contributions
+    const messages = [
         { role: 'user', content: originalPrompt },
         { role: 'assistant', content: ownForecastProse },
-        { role: 'user', content: deliberationPrompt },
+        { role: 'user', content: protocol.prompt(question, firstRoundPeers, role) },
     ]
+
+    // Later rounds: own previous output, then peers' outputs from that round
+    previousRounds.forEach(({ own, others }, i) => {
+        messages.push(
+            { role: 'assistant', content: protocol.formatOutput(question, own, role) },
+            { role: 'user', content: protocol.followUpPrompt(question, i + 2, peers(others), role) },
+        )
+    })
+
+    return messages
 }
 
 
-const OUTPUT_SCHEMA = z.object({
-    review: z.string().describe('Your thoughts on the other forecasters reasoning'),
-    rationale: z.string().describe('Your updated reasoning and analysis. If you change your forecast up or down, explain why you changed it and how much you changed it. If you do not change your forecast, explain why you did not change it.'),
-    probability: z.number().describe('Your final probabilistic forecast. Minimum 0, maximum 100.'),
-})
+// Agents can declare that the group has converged (a stopping rule in multi-round runs). Always
+// part of the schema, so the cache key of round 1 does not depend on --rounds
+const CONSENSUS = z.boolean().describe('True if you believe the group has reached a consensus and further deliberation would not change your forecast.')
 
+// The protocol's schema for this role; numeric, date and multiple-choice questions get an
+// updated forecast in the type's own field
+const outputSchemaFor = (question, protocol, role) => {
+    const schema = protocol.schema(role).extend({ consensus: CONSENSUS })
+    if (getQuestionType(question) === 'binary') return schema
+    return schema.omit({ probability: true }).extend({
+        [getForecastField(question)]: forecastSchema(question).describe('Your final forecast.'),
+    })
+}
 
-export const deliberativeForecastingAgent = async ({
+
+// Everything sent to the model except the model itself, plus the cache key derived from it
+export const buildDeliberativeForecastRequest = ({
     question,
     information,
     independentForecast,
@@ -91,44 +131,61 @@ export const deliberativeForecastingAgent = async ({
     model,
     condition,
     position,
+    round = 1,
+    previousRounds = [],
+    protocol = DEFAULT_PROTOCOL,
+    roles = null, // per position; the protocol's default roles if not given
+    earlierSpeakers = null, // sequential ordering, see getEarlierSpeakers
 }) => {
-    if (!independentForecast || !otherForecasts || otherForecasts.length !== 2) {
-        throw new Error('Need own independent forecast and exactly 2 other forecasts')
+    if (!independentForecast || !otherForecasts || otherForecasts.length === 0) {
+        throw new Error('Need own independent forecast and at least 1 other forecast')
     }
     if (!model || !condition || !position) {
         throw new Error('Model, condition, and position are required')
     }
+    if (previousRounds.length !== round - 1) {
+        throw new Error(`Round ${round} needs the outputs of ${round - 1} previous round(s)`)
+    }
 
-    const forecastId = `${question.id}-${condition}-${model}-${position}`
+    const forecastId = deliberativeForecastId(question.id, condition, model, position)
     const groupId = `${question.id}-${condition}`
+    const groupRoles = roles || getProtocol(protocol).defaultRoles(otherForecasts.length + 1)
+    if (groupRoles.length !== otherForecasts.length + 1) {
+        throw new Error(`Expected ${otherForecasts.length + 1} roles, got ${groupRoles.length}`)
+    }
+    const role = groupRoles[position - 1]
+    const otherRoles = groupRoles.filter((_, i) => i !== position - 1)
 
     const messages = buildDeliberationMessages(
+        { protocol: getProtocol(protocol), role, otherRoles, earlierSpeakers },
         independentForecast.forecast,
         otherForecasts.map(f => f.forecast),
         question,
-        information
+        information,
+        previousRounds
     )
 
-    const result = await generateObject({
-        model: getOpenModel(model),
-        schema: OUTPUT_SCHEMA,
+    const request = {
+        schema: outputSchemaFor(question, getProtocol(protocol), role),
         messages: messages,
         maxOutputTokens: 10_000,
-        providerOptions: {
-            openrouter: {
-                reasoning: { max_tokens: 5_000 },
-            },
-            anthropic: {
-                thinking: { type: 'enabled', budgetTokens: 5_000 },
-            },
-            openai: {
-                reasoning: { effort: 'medium', summary: 'auto' },
-            },
-            google: {
-                thinkingConfig: { thinkingBudget: -1 },
-            },
-        },
+        providerOptions: getProviderOptions(model),
+    }
+
+    return { forecastId, groupId, role, request, cacheKey: computeCacheKey(model, request) }
+}
+
+
+export const deliberativeForecastingAgent = async (args) => {
+    const { question, independentForecast, otherForecasts, model, condition, position, round = 1, protocol = DEFAULT_PROTOCOL, turns = null } = args
+    const { forecastId, groupId, role, request, cacheKey } = buildDeliberativeForecastRequest(args)
+
+    const result = await generateObject({
+        model: getOpenModel(model, { replayKey: `${forecastId}#${round}` }),
+        ...request,
+        maxRetries: 0, // retried by the scheduler
     })
+    const { forecast, repairs } = repairForecast(question, result.object)
 
     return {
         forecastId,
@@ -138,9 +195,14 @@ export const deliberativeForecastingAgent = async ({
         position,
         infoLabel: independentForecast.infoLabel,
         groupId,
+        protocol,
+        role,
+        ordering: turns ? 'sequential' : 'simultaneous',
+        turn: turns ? turns[position - 1] : null,
         independentForecastId: independentForecast.forecastId,
         otherForecastIds: otherForecasts.map(f => f.forecastId),
-        forecast: result.object,
+        forecast: repairs.length > 0 ? { ...forecast, repairs } : forecast,
         usage: result.usage,
+        cacheKey,
     }
 }
@@ -0,0 +1,120 @@
+import fs from 'fs'
+import { getArgValue } from './cliUtils.js'
+import { PROTOCOLS, DEFAULT_PROTOCOL } from './deliberation-protocols.js'
+import { unitText, unitAuthorIds, hasProvenance } from './information-units.js'
+
+// Declarative experiment design shared by the independent and deliberative stages.
+//
+// Each condition lists, per group member, a model and an info label (and optionally an
+// instance number). "randomize" turns a list into a per-question assignment:
+//   models: "rotate"     -> one model for the whole group, balanced across questions
+//   models: "shuffle"    -> seeded per-question permutation of the list (member i gets entry i)
+//   infoLabels: "shuffle" -> same, for the info labels
+// "protocol" selects the deliberation protocol (default "open"), optionally with per-member
+// "roles" (see deliberation-protocols.js). "ordering": "sequential" has members update one
+// at a time in a random speaking order, each seeing the earlier speakers' updated forecasts
+// (default "simultaneous").
+// Info labels: "none", "full", "info{k}" (the k-th unit) and "source-{authorId}" (the units
+// extracted from that bot's comments only; needs packages with provenance).
+// The assignments themselves are drawn once and persisted by build-manifest.js (see manifest.js).
+
+export const EXPERIMENT_PATH = getArgValue('--experiment', 'config/experiment.json')
+
+const RANDOMIZATION_METHODS = {
+    models: ['rotate', 'shuffle'],
+    infoLabels: ['shuffle'],
+}
+
+const ORDERINGS = ['simultaneous', 'sequential']
+
+// =============================================================================
+// LOADING AND VALIDATION
+// =============================================================================
+
+const validateExperiment = (experiment) => {
+    const { models, infoLabels, conditions } = experiment
+    if (!Array.isArray(models) || models.length === 0) throw new Error('Experiment must list models')
+    if (!Array.isArray(infoLabels) || infoLabels.length === 0) throw new Error('Experiment must list infoLabels')
+    if (!conditions || Object.keys(conditions).length === 0) throw new Error('Experiment must define conditions')
+
+    for (const [name, condition] of Object.entries(conditions)) {
+        const size = condition.infoLabels?.length
+        if (!size) throw new Error(`Condition ${name}: infoLabels are required`)
+        if (size < 2) throw new Error(`Condition ${name}: a group needs at least 2 members, got ${size}`)
+
+        const randomize = condition.randomize || {}
+        if (randomize.models !== 'rotate' && condition.models?.length !== size) {
+            throw new Error(`Condition ${name}: expected ${size} models, got ${condition.models?.length}`)
+        }
+        if (condition.instances && condition.instances.length !== size) {
+            throw new Error(`Condition ${name}: expected ${size} instances, got ${condition.instances.length}`)
+        }
+        for (const model of condition.models || []) {
+            if (!models.includes(model)) throw new Error(`Condition ${name}: unknown model ${model}`)
+        }
+        for (const label of condition.infoLabels) {
+            if (!infoLabels.includes(label)) throw new Error(`Condition ${name}: unknown info label ${label}`)
+        }
+        for (const [factor, method] of Object.entries(randomize)) {
+            if (!RANDOMIZATION_METHODS[factor]?.includes(method)) {
+                throw new Error(`Condition ${name}: cannot ${method} ${factor}`)
+            }
+        }
+
+        // Members sharing model, info label and instance would share one independent forecast;
+        // under any shuffle or rotation, one factor with all-distinct values keeps them apart
+        const distinct = (list) => !!list && new Set(list).size === list.length
+        const distinctModels = randomize.models !== 'rotate' && distinct(condition.models)
+        if (!distinctModels && !distinct(condition.infoLabels) && !distinct(condition.instances)) {
+            throw new Error(`Condition ${name}: members would share independent forecasts; list distinct instances`)
+        }
+
+        const protocol = PROTOCOLS[condition.protocol || DEFAULT_PROTOCOL]
+        if (!protocol) throw new Error(`Condition ${name}: unknown protocol ${condition.protocol}`)
+        if (condition.roles && condition.roles.length !== size) {
+            throw new Error(`Condition ${name}: expected ${size} roles, got ${condition.roles.length}`)
+        }
+        for (const role of condition.roles || []) {
+            if (!protocol.roles.includes(role)) throw new Error(`Condition ${name}: protocol ${condition.protocol} has no role ${role}`)
+        }
+        if (!ORDERINGS.includes(condition.ordering || 'simultaneous')) {
+            throw new Error(`Condition ${name}: unknown ordering ${condition.ordering} (${ORDERINGS.join(', ')})`)
+        }
+        if (condition.ordering === 'sequential' && !protocol.sequential) {
+            throw new Error(`Condition ${name}: protocol ${condition.protocol} does not support sequential ordering`)
+        }
+    }
+    return experiment
+}
+
+export const loadExperiment = (path = EXPERIMENT_PATH) => {
+    if (!fs.existsSync(path)) throw new Error(`Experiment file not found: ${path}`)
+    return validateExperiment(JSON.parse(fs.readFileSync(path, 'utf8')))
+}
+
+// =============================================================================
+// INFORMATION MAPPING
+// =============================================================================
+
+export const getInformation = (question, infoLabel) => {
+    const infoPkgs = question.informationPackages.map(unitText)
+    if (infoLabel === 'none') return 'No additional information available.'
+    if (infoLabel === 'full') return infoPkgs.join('\n\n')
+
+    const source = infoLabel.match(/^source-(\d+)$/)
+    if (source) {
+        if (!question.informationPackages.every(hasProvenance)) throw new Error(`Question ${question.id} has no source provenance`)
+        const units = question.informationPackages.filter(unit => {
+            const authors = unitAuthorIds(unit)
+            return authors.length === 1 && authors[0] === Number(source[1])
+        })
+        if (units.length === 0) throw new Error(`Question ${question.id} has no units from ${infoLabel}`)
+        return units.map(unitText).join('\n\n')
+    }
+
+    const match = infoLabel.match(/^info(\d+)$/)
+    if (!match) throw new Error(`Unknown info label: ${infoLabel}`)
+    const pkg = infoPkgs[parseInt(match[1]) - 1]
+    if (pkg === undefined) throw new Error(`Question ${question.id} has no ${infoLabel}`)
+    return pkg
+}
@@ -0,0 +1,201 @@
+import fs from 'fs'
+import { facilitatorAgent, buildFacilitatorRequest } from './facilitator-agent.js'
+import { loadExperiment, EXPERIMENT_PATH } from './experiment.js'
+import { loadManifest, getGroupComposition } from './manifest.js'
+import { getCacheStatus } from './response-cache.js'
+import { getModelConfig } from './agentUtils.js'
+import { createBudget, formatBudget } from './costs.js'
+import { createScheduler } from './scheduler.js'
+import { openJournal, getUnfinishedJobs } from './journal.js'
+import { getArgValue, hasFlag } from './cliUtils.js'
+import { excludeFlagged } from './leakage-checks.js'
+import { FACILITATED_DIR } from './datasetUtils.js'
+import {
+    deliberativeForecastId,
+    facilitatedForecastId,
+    facilitatedForecastPath,
+    independentForecastPath,
+    loadDeliberativeForecast,
+} from './forecast-files.js'
+
+// Optional stage after deliberation: a facilitator model reads each group's independent and
+// deliberative analyses and writes one group forecast with a consensus rationale and a
+// dissent summary (data/facilitated-forecasts/{questionId}-{condition}-facilitated-{model}.json).
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const TEST_MODE = hasFlag('--test')
+const RETRY_FAILED = hasFlag('--retry-failed') // only jobs the journal lists as failed or interrupted
+const EXCLUDE_FLAGGED = hasFlag('--exclude-flagged') // skip questions flagged by the leakage audit (leakage-audit.js)
+const FACILITATOR = getArgValue('--facilitator', 'pro') // model alias
+const EXPERIMENT = loadExperiment()
+const CONDITIONS = Object.keys(EXPERIMENT.conditions)
+const budget = createBudget() // --max-usd
+const scheduler = createScheduler() // per-provider limits from config/models.json
+const journal = openJournal('facilitated') // job id: facilitated forecast id
+
+// =============================================================================
+// GROUP INPUTS
+// =============================================================================
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'))
+
+// The group's final deliberative forecasts with the independent forecasts they started from,
+// or null while the group is incomplete (missing members, or rounds still to run)
+const loadMembers = (question, condition, manifest) => {
+    const members = []
+    for (const [i, agent] of getGroupComposition(manifest, condition, question.id).entries()) {
+        const deliberativeForecast = loadDeliberativeForecast(deliberativeForecastId(question.id, condition, agent.model, i + 1))
+        if (!deliberativeForecast || deliberativeForecast.stopReason === null) return null
+
+        const independentFile = independentForecastPath(deliberativeForecast.independentForecastId)
+        if (!fs.existsSync(independentFile)) return null
+        members.push({ independentForecast: readJson(independentFile), deliberativeForecast })
+    }
+    return members
+}
+
+// =============================================================================
+// SINGLE FACILITATED FORECAST
+// =============================================================================
+
+const generateFacilitatedForecast = async (question, condition, members) => {
+    const args = { question, members, model: FACILITATOR, condition }
+    const { forecastId, request, cacheKey } = buildFacilitatorRequest(args)
+    const outputFile = facilitatedForecastPath(forecastId)
+
+    // Skip if already generated from the same request (the group's final forecasts included)
+    const cacheStatus = getCacheStatus(outputFile, cacheKey)
+    if (cacheStatus === 'fresh' || cacheStatus === 'legacy') {
+        return { status: 'cached', forecastId }
+    }
+
+    journal.queued(forecastId)
+    try {
+        // The budget is checked when the call actually starts, on every attempt
+        const result = await scheduler.run(FACILITATOR, (attempt) => budget.run(FACILITATOR, request, () => {
+            journal.running(forecastId, attempt)
+            return facilitatorAgent(args)
+        }), { label: forecastId })
+
+        if (!result) {
+            return { status: 'over_budget', forecastId }
+        }
+
+        fs.writeFileSync(outputFile, JSON.stringify(result, null, 2))
+        journal.succeeded(forecastId)
+
+        return { status: 'success', forecastId }
+    } catch (error) {
+        journal.failed(forecastId, error)
+        return { status: 'error', forecastId, kind: error.kind, attempts: error.attempts, error: error.message }
+    }
+}
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+const processQuestion = async (question, manifest, unfinished = null) => {
+    const jobs = []
+    let skipped = 0
+
+    for (const condition of CONDITIONS) {
+        if (unfinished && !unfinished.has(facilitatedForecastId(question.id, condition, FACILITATOR))) continue
+
+        const members = loadMembers(question, condition, manifest)
+        if (!members) {
+            skipped++
+            continue
+        }
+        jobs.push(generateFacilitatedForecast(question, condition, members))
+    }
+
+    const results = await Promise.all(jobs)
+    results.filter(r => r.status === 'error').forEach(r => {
+        console.log(`    ✗ ${r.forecastId}: ${r.kind} after ${r.attempts} attempt(s): ${r.error}`)
+    })
+
+    return { results, skipped }
+}
+
+const main = async () => {
+    getModelConfig(FACILITATOR) // fail early on an unknown alias
+
+    let questions = JSON.parse(fs.readFileSync('data/processed/questions.json', 'utf8'))
+    const manifest = loadManifest(EXPERIMENT, questions)
+
+    if (EXCLUDE_FLAGGED) questions = excludeFlagged(questions)
+
+    if (TEST_MODE) {
+        questions = questions.slice(0, 2)
+        console.log('TEST MODE: Running on first 2 questions')
+    }
+
+    let unfinished = null
+    if (RETRY_FAILED) {
+        unfinished = getUnfinishedJobs('facilitated')
+        questions = questions.filter(q => CONDITIONS.some(c => unfinished.has(facilitatedForecastId(q.id, c, FACILITATOR))))
+        console.log(`RETRY FAILED: ${unfinished.size} failed or interrupted job(s) in ${questions.length} question(s)`)
+    }
+
+    console.log(`Processing ${questions.length} questions...`)
+    console.log(`Experiment: ${EXPERIMENT.name} (${EXPERIMENT_PATH}), ${CONDITIONS.length} conditions`)
+    console.log(`Facilitator: ${FACILITATOR}`)
+    console.log(`Budget: ${budget.maxUsd === null ? 'no cap' : `$${budget.maxUsd.toFixed(2)}`}`)
+
+    fs.mkdirSync(FACILITATED_DIR, { recursive: true })
+
+    let totalCompleted = 0
+    let totalCached = 0
+    let totalSkipped = 0
+    let totalOverBudget = 0
+    let failures = []
+    let questionsDone = 0
+
+    await Promise.all(questions.map((question, qIndex) =>
+        processQuestion(question, manifest, unfinished).then(({ results, skipped }) => {
+            const completed = results.filter(r => r.status === 'success').length
+            const cached = results.filter(r => r.status === 'cached').length
+            const failed = results.filter(r => r.status === 'error')
+
+            totalCompleted += completed
+            totalCached += cached
+            totalSkipped += skipped
+            totalOverBudget += results.filter(r => r.status === 'over_budget').length
+            failures.push(...failed)
+            questionsDone++
+
+            if (completed > 0 || failed.length > 0) {
+                console.log(`  [${questionsDone}/${questions.length}] Q${qIndex + 1} (${question.id}): ${completed} completed, ${cached} cached, ${failed.length} failed, spent ${formatBudget(budget)}`)
+            }
+        })
+    ))
+
+    const failuresByKind = {}
+    for (const f of failures) failuresByKind[f.kind] = (failuresByKind[f.kind] || 0) + 1
+
+    console.log(`\n${'='.repeat(60)}`)
+    if (failures.length > 0) {
+        console.log(`⚠️  COMPLETED WITH FAILURES`)
+    } else if (budget.exhausted) {
+        console.log(`⚠️  STOPPED AT BUDGET`)
+    } else {
+        console.log(`✅ DONE!`)
+    }
+    console.log(`  Completed: ${totalCompleted}`)
+    console.log(`  Cached: ${totalCached}`)
+    console.log(`  Skipped (incomplete groups): ${totalSkipped}`)
+    console.log(`  Over budget: ${totalOverBudget}`)
+    console.log(`  Persistent failures: ${failures.length}${failures.length > 0 ? ` (${Object.entries(failuresByKind).map(([k, n]) => `${k}: ${n}`).join(', ')})` : ''}`)
+    for (const [provider, reason] of Object.entries(scheduler.disabledProviders())) {
+        console.log(`  Disabled provider ${provider}: ${reason}`)
+    }
+    console.log(`  Spent: ${formatBudget(budget)}`)
+
+    if (failures.length > 0 || budget.exhausted) process.exit(1)
+}
+
+main().catch(console.error)
@@ -0,0 +1,126 @@
+import { generateObject } from 'ai'
+import { getOpenModel, getProviderOptions } from './agentUtils.js'
+import { computeCacheKey } from './response-cache.js'
+import {
+    getQuestionType,
+    getForecastField,
+    forecastSchema,
+    describeAnswerSpace,
+    describeForecastFormat,
+    repairForecast,
+} from './question-types.js'
+import { getProtocol, formatIndependentForecastAsProse, DEFAULT_PROTOCOL } from './deliberation-protocols.js'
+import { facilitatedForecastId } from './forecast-files.js'
+import { z } from 'zod'
+
+
+// members: [{ independentForecast, deliberativeForecast }] (stored records); forecasters stay
+// anonymous, and deliberative outputs are shown the way their protocol renders them
+const formatMember = (question, { independentForecast, deliberativeForecast }, i) => {
+    const protocol = getProtocol(deliberativeForecast.protocol || DEFAULT_PROTOCOL)
+    return `## Forecaster ${i + 1}
+
+### Independent analysis
+
+${formatIndependentForecastAsProse(question, independentForecast.forecast)}
+
+### After deliberation
+
+${protocol.formatOutput(question, deliberativeForecast.forecast, deliberativeForecast.role)}`
+}
+
+const generatePrompt = (question, members) => {
+    const binary = getQuestionType(question) === 'binary'
+    const forecastFormat = binary ? 'a probability between 0 and 100' : describeForecastFormat(question).replace(/^your final forecast as /, '')
+
+    return `You are the facilitator of a panel of ${members.length} expert forecasters. Each of them first forecast the question below independently, then deliberated with the others and submitted an updated forecast.
+
+The question is:
+${question.questionTitle}
+
+Question background:
+${question.questionDescription}
+
+Resolution criteria:
+${question.questionResolutionCriteria}
+
+${question.questionFinePrint}
+${binary ? '' : `\n${describeAnswerSpace(question)}\n`}
+Today is ${question.date}.
+
+The forecasters' analyses:
+
+---
+
+${members.map((member, i) => formatMember(question, member, i)).join('\n\n---\n\n')}
+
+---
+
+Synthesize the panel's work into a single group forecast:
+(a) A consensus rationale: the reasoning and evidence the group's forecast rests on. Weigh the forecasters by the quality of their arguments and evidence, not by their number.
+(b) A dissent summary: where forecasters still disagree after deliberation, and why.
+(c) The group forecast, as ${forecastFormat}. It need not be the average of the individual forecasts.`
+}
+
+
+const OUTPUT_SCHEMA = z.object({
+    consensus_rationale: z.string().describe('The reasoning and evidence the group forecast rests on'),
+    dissent_summary: z.string().describe('Where and why forecasters still disagree after deliberation'),
+    probability: z.number().describe('The group forecast. Minimum 0, maximum 100.'),
+})
+
+// Numeric, date and multiple-choice questions: the group forecast in the type's own field
+const outputSchemaFor = (question) => {
+    if (getQuestionType(question) === 'binary') return OUTPUT_SCHEMA
+    return OUTPUT_SCHEMA.omit({ probability: true }).extend({
+        [getForecastField(question)]: forecastSchema(question).describe('The group forecast.'),
+    })
+}
+
+
+// Everything sent to the model except the model itself, plus the cache key derived from it
+export const buildFacilitatorRequest = ({ question, members, model, condition }) => {
+    if (!members || members.length === 0) throw new Error('Need the group members\' forecasts')
+    if (!model || !condition) throw new Error('Model and condition are required')
+
+    const forecastId = facilitatedForecastId(question.id, condition, model)
+    const groupId = `${question.id}-${condition}`
+
+    const request = {
+        schema: outputSchemaFor(question),
+        prompt: generatePrompt(question, members),
+        maxOutputTokens: 10_000,
+        providerOptions: getProviderOptions(model),
+    }
+
+    return { forecastId, groupId, request, cacheKey: computeCacheKey(model, request) }
+}
+
+
+export const facilitatorAgent = async (args) => {
+    const { question, members, model, condition } = args
+    const { forecastId, groupId, request, cacheKey } = buildFacilitatorRequest(args)
+
+    const result = await generateObject({
+        model: getOpenModel(model, { replayKey: forecastId }),
+        ...request,
+        maxRetries: 0, // retried by the scheduler
+    })
+    const { forecast, repairs } = repairForecast(question, result.object)
+
+    return {
+        forecastId,
+        questionId: question.id,
+        condition,
+        protocol: members[0].deliberativeForecast.protocol || DEFAULT_PROTOCOL,
+        ordering: members[0].deliberativeForecast.ordering || 'simultaneous',
+        model,
+        groupId,
+        deliberativeForecastIds: members.map(m => m.deliberativeForecast.forecastId),
+        independentForecastIds: members.map(m => m.independentForecast.forecastId),
+        forecast: repairs.length > 0 ? { ...forecast, repairs } : forecast,
+        usage: result.usage,
+        prompt: request.prompt,
+        cacheKey,
+    }
+}
@@ -0,0 +1,73 @@
+import fs from 'fs'
+import path from 'path'
+import { INDEPENDENT_DIR, DELIBERATIVE_DIR, FACILITATED_DIR } from './datasetUtils.js'
+
+// File naming and loading of stored forecasts, shared by the forecasting stages and their tools
+
+export const independentForecastId = (questionId, model, infoLabel, instance = null) => {
+    const suffix = instance ? `-${instance}` : ''
+    return `${questionId}-${model}-${infoLabel}${suffix}`
+}
+
+export const deliberativeForecastId = (questionId, condition, model, position) => {
+    return `${questionId}-${condition}-${model}-${position}`
+}
+
+// One facilitated forecast per group and facilitator model
+export const facilitatedForecastId = (questionId, condition, model) => {
+    return `${questionId}-${condition}-facilitated-${model}`
+}
+
+export const independentForecastPath = (forecastId) => path.join(INDEPENDENT_DIR, `${forecastId}.json`)
+export const deliberativeForecastPath = (forecastId) => path.join(DELIBERATIVE_DIR, `${forecastId}.json`)
+export const facilitatedForecastPath = (forecastId) => path.join(FACILITATED_DIR, `${forecastId}.json`)
+
+export const loadIndependentForecast = (questionId, model, infoLabel, instance = null) => {
+    const filename = independentForecastPath(independentForecastId(questionId, model, infoLabel, instance))
+
+    if (!fs.existsSync(filename)) {
+        return null
+    }
+
+    return JSON.parse(fs.readFileSync(filename, 'utf8'))
+}
+
+export const loadDeliberativeForecast = (forecastId) => {
+    const filename = deliberativeForecastPath(forecastId)
+
+    if (!fs.existsSync(filename)) {
+        return null
+    }
+
+    const record = JSON.parse(fs.readFileSync(filename, 'utf8'))
+    // Files written before multi-round support hold a single round
+    if (!record.rounds) {
+        record.rounds = [{ round: 1, forecast: record.forecast, usage: record.usage }]
+    }
+    return record
+}
+
+// Round k+1 shows each agent its own and its peers' round-k outputs. With a sequential
+// speaking order (turns per position), peers who speak earlier show their round-(k+1) output.
+export const getPreviousRounds = (records, position, round, turns = null) => {
+    const spokeEarlier = (i) => turns !== null && turns[i] < turns[position - 1]
+    const previousRounds = []
+    for (let r = 1; r < round; r++) {
+        previousRounds.push({
+            own: records[position - 1].rounds[r - 1].forecast,
+            others: records
+                .map((record, i) => record.rounds[spokeEarlier(i) ? r : r - 1].forecast)
+                .filter((_, i) => i !== position - 1),
+        })
+    }
+    return previousRounds
+}
+
+// Sequential speaking order: the round-1 outputs of peers who speak before this position, in
+// the order of the other positions (null for peers who speak later); null without turns
+export const getEarlierSpeakers = (records, position, turns = null) => {
+    if (turns === null) return null
+    return records
+        .map((record, i) => turns[i] < turns[position - 1] ? record.rounds[0].forecast : null)
+        .filter((_, i) => i !== position - 1)
+}
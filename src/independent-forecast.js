@@ -1,134 +1,62 @@
 import fs from 'fs'
-import { independentForecastingAgent } from './independent-forecasting-agent.js'
+import { independentForecastingAgent, buildIndependentForecastRequest } from './independent-forecasting-agent.js'
+import { loadExperiment, getInformation, EXPERIMENT_PATH } from './experiment.js'
+import { loadManifest, getRequiredForecasts } from './manifest.js'
+import { getCacheStatus } from './response-cache.js'
+import { independentForecastId, independentForecastPath } from './forecast-files.js'
+import { createBudget, formatBudget } from './costs.js'
+import { createScheduler } from './scheduler.js'
+import { openJournal, getUnfinishedJobs } from './journal.js'
+import { hasFlag } from './cliUtils.js'
+import { excludeFlagged } from './leakage-checks.js'
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
 const TEST_MODE = process.argv.includes('--test')
-const MODELS = ['pro', 'sonnet', 'gpt5']
-const MAX_RETRIES_PER_QUESTION = 3
-const RETRY_DELAY_MS = 60_000 // 1 minute
-const MAX_TOTAL_FAILURES = 5 // Stop if this many questions have persistent failures
+const RETRY_FAILED = hasFlag('--retry-failed') // only jobs the journal lists as failed or interrupted
+const EXCLUDE_FLAGGED = hasFlag('--exclude-flagged') // skip questions flagged by the leakage audit (leakage-audit.js)
+const EXPERIMENT = loadExperiment()
+const budget = createBudget() // --max-usd
+const scheduler = createScheduler() // per-provider limits from config/models.json
+const journal = openJournal('independent') // job id: forecast id
 
 
-// =============================================================================
-// SEEDED RANDOMIZATION (must match deliberative-forecast.js)
-// =============================================================================
-
-const seededRandom = (seed) => {
-    const x = Math.sin(seed * 9999) * 10000
-    return x - Math.floor(x)
-}
-
-const seededShuffle = (array, seed) => {
-    const result = [...array]
-    let m = result.length
-    while (m) {
-        const i = Math.floor(seededRandom(seed + m) * m--)
-        ;[result[m], result[i]] = [result[i], result[m]]
-    }
-    return result
-}
-
-// =============================================================================
-// FORECAST REQUIREMENTS
-// =============================================================================
-
-const getRequiredForecasts = (questionId, qIndex) => {
-    const required = []
-    const seen = new Set()
-
-    const addForecast = (model, infoLabel, instance = null) => {
-        const key = `${model}-${infoLabel}-${instance || ''}`
-        if (!seen.has(key)) {
-            seen.add(key)
-            required.push({ model, infoLabel, instance })
-        }
-    }
-
-    // 1. diverse_full: all 3 models with shared info
-    for (const model of MODELS) {
-        addForecast(model, 'full')
-    }
-
-    // 2. diverse_info: randomized info assignment
-    const infoLabels = seededShuffle(['info1', 'info2', 'info3'], questionId)
-    const models = seededShuffle([...MODELS], questionId + 1)
-    for (let i = 0; i < 3; i++) {
-        addForecast(models[i], infoLabels[i])
-    }
-
-    // 3. homo_full: 3 instances of rotating model
-    const homoModel = MODELS[qIndex % 3]
-    for (let instance = 1; instance <= 3; instance++) {
-        addForecast(homoModel, 'full', instance)
-    }
-
-    // 4. sense_check: all 3 models with no info
-    for (const model of MODELS) {
-        addForecast(model, 'none')
-    }
-
-    // 5. homo_none: 3 instances of rotating model with no info
-    // (mirrors homo_full but with none instead of full)
-    for (let instance = 1; instance <= 3; instance++) {
-        addForecast(homoModel, 'none', instance)
-    }
-
-    // 6. diverse_none: all 3 models with no info (already covered by sense_check)
-    // No additional forecasts needed
-
-    // 7. homo_info: 3 instances of rotating model with distributed info
-    // Instance 1 gets info1, instance 2 gets info2, instance 3 gets info3
-    const homoInfoLabels = ['info1', 'info2', 'info3']
-    for (let instance = 1; instance <= 3; instance++) {
-        addForecast(homoModel, homoInfoLabels[instance - 1], instance)
-    }
-
-    return required
-}
-
-// =============================================================================
-// INFORMATION MAPPING
-// =============================================================================
-
-const getInformation = (question, infoLabel) => {
-    const infoPkgs = question.informationPackages
-    switch (infoLabel) {
-        case 'none': return 'No additional information available.'
-        case 'full': return infoPkgs.join('\n\n')
-        case 'info1': return infoPkgs[0]
-        case 'info2': return infoPkgs[1]
-        case 'info3': return infoPkgs[2]
-        default: throw new Error(`Unknown info label: ${infoLabel}`)
-    }
-}
-
 // =============================================================================
 // SINGLE FORECAST GENERATION
 // =============================================================================
 
 const generateSingleForecast = async (question, req) => {
-    const instanceSuffix = req.instance ? `-${req.instance}` : ''
-    const forecastId = `${question.id}-${req.model}-${req.infoLabel}${instanceSuffix}`
-    const outputFile = `data/independent-forecasts/${forecastId}.json`
+    const forecastId = independentForecastId(question.id, req.model, req.infoLabel, req.instance)
+    const outputFile = independentForecastPath(forecastId)
+
+    const information = getInformation(question, req.infoLabel)
 
-    // Skip if already exists
-    if (fs.existsSync(outputFile)) {
+    // Skip if already generated from the same request (prompt, model, schema, options)
+    const { request, cacheKey } = buildIndependentForecastRequest(question, information, req.model, req.infoLabel, req.instance)
+    const cacheStatus = getCacheStatus(outputFile, cacheKey)
+    if (cacheStatus === 'fresh' || cacheStatus === 'legacy') {
         return { status: 'cached', forecastId }
     }
 
-    const information = getInformation(question, req.infoLabel)
-
+    journal.queued(forecastId)
     try {
-        const forecast = await independentForecastingAgent(
-            question,
-            information,
-            req.model,
-            req.infoLabel,
-            req.instance
-        )
+        // The budget is checked when the call actually starts, on every attempt
+        const forecast = await scheduler.run(req.model, (attempt) => budget.run(req.model, request, () => {
+            journal.running(forecastId, attempt)
+            return independentForecastingAgent(
+                question,
+                information,
+                req.model,
+                req.infoLabel,
+                req.instance
+            )
+        }), { label: forecastId })
+
+        if (!forecast) {
+            return { status: 'over_budget', forecastId }
+        }
 
         const result = {
             forecastId: forecast.id,
@@ -138,14 +66,18 @@ const generateSingleForecast = async (question, req) => {
             instance: req.instance,
             information: information,
             forecast: forecast.object,
+            usage: forecast.usage,
             prompt: forecast.prompt,
+            cacheKey: forecast.cacheKey,
         }
 
         fs.writeFileSync(outputFile, JSON.stringify(result, null, 2))
+        journal.succeeded(forecastId)
 
         return { status: 'success', forecastId }
     } catch (error) {
-        return { status: 'error', forecastId, error: error.message }
+        journal.failed(forecastId, error)
+        return { status: 'error', forecastId, kind: error.kind, attempts: error.attempts, error: error.message }
     }
 }
 
@@ -153,153 +85,99 @@ const generateSingleForecast = async (question, req) => {
 // MAIN EXECUTION
 // =============================================================================
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+// All forecasts of a question are handed to the scheduler at once; it decides when each call runs
+const processQuestion = async (question, requiredForecasts) => {
+    const results = await Promise.all(requiredForecasts.map(req => generateSingleForecast(question, req)))
 
-const processQuestion = async (question, qIndex, requiredForecasts) => {
-    let pendingForecasts = [...requiredForecasts]
-    let allResults = []
-    let retryCount = 0
+    results.filter(r => r.status === 'error').forEach(r => {
+        console.log(`    ✗ ${r.forecastId}: ${r.kind} after ${r.attempts} attempt(s): ${r.error}`)
+    })
 
-    while (pendingForecasts.length > 0 && retryCount < MAX_RETRIES_PER_QUESTION) {
-        if (retryCount > 0) {
-            console.log(`  ⏳ Retry ${retryCount}/${MAX_RETRIES_PER_QUESTION}: waiting 60s...`)
-            await sleep(RETRY_DELAY_MS)
-            console.log(`  🔄 Retrying ${pendingForecasts.length} failed forecast(s)...`)
-        }
-
-        // Run pending forecasts in parallel
-        const promises = pendingForecasts.map(req => generateSingleForecast(question, req))
-        const results = await Promise.all(promises)
-
-        // Separate successes/cached from failures
-        const succeeded = results.filter(r => r.status === 'success' || r.status === 'cached')
-        const failed = results.filter(r => r.status === 'error')
-
-        allResults.push(...succeeded)
-
-        if (failed.length === 0) {
-            // All done - clear pending to indicate success
-            pendingForecasts = []
-            break
-        }
-
-        // Log failures
-        failed.forEach(r => {
-            console.log(`    ✗ ${r.forecastId}: ${r.error}`)
-        })
-
-        // Prepare for retry - find the original requests for failed forecasts
-        pendingForecasts = pendingForecasts.filter(req => {
-            const instanceSuffix = req.instance ? `-${req.instance}` : ''
-            const forecastId = `${question.id}-${req.model}-${req.infoLabel}${instanceSuffix}`
-            return failed.some(f => f.forecastId === forecastId)
-        })
-
-        retryCount++
-    }
-
-    // If we still have pending (failed) forecasts after all retries
-    const finalFailed = pendingForecasts.length
-    if (finalFailed > 0) {
-        allResults.push(...pendingForecasts.map(req => {
-            const instanceSuffix = req.instance ? `-${req.instance}` : ''
-            return {
-                status: 'persistent_failure',
-                forecastId: `${question.id}-${req.model}-${req.infoLabel}${instanceSuffix}`
-            }
-        }))
-    }
-
-    return {
-        results: allResults,
-        persistentFailures: finalFailed,
-    }
+    return results
 }
 
-const BATCH_SIZE = 20 // Process this many questions concurrently
-
 const main = async () => {
     let questions = JSON.parse(fs.readFileSync('data/processed/questions.json', 'utf8'))
+    const manifest = loadManifest(EXPERIMENT, questions)
+
+    if (EXCLUDE_FLAGGED) questions = excludeFlagged(questions)
 
     if (TEST_MODE) {
         questions = questions.slice(0, 2)
         console.log('TEST MODE: Running on first 2 questions')
     }
 
-    console.log(`Processing ${questions.length} questions in batches of ${BATCH_SIZE}...`)
-    console.log(`Config: ${MAX_RETRIES_PER_QUESTION} retries/question, ${MAX_TOTAL_FAILURES} max total failures`)
+    let getForecasts = (question) => getRequiredForecasts(manifest, question.id)
+    if (RETRY_FAILED) {
+        const unfinished = getUnfinishedJobs('independent')
+        getForecasts = (question) => getRequiredForecasts(manifest, question.id)
+            .filter(req => unfinished.has(independentForecastId(question.id, req.model, req.infoLabel, req.instance)))
+        questions = questions.filter(q => getForecasts(q).length > 0)
+        console.log(`RETRY FAILED: ${unfinished.size} failed or interrupted job(s) in ${questions.length} question(s)`)
+    }
+
+    console.log(`Processing ${questions.length} questions...`)
+    console.log(`Experiment: ${EXPERIMENT.name} (${EXPERIMENT_PATH}), ${Object.keys(EXPERIMENT.conditions).length} conditions`)
+    console.log(`Budget: ${budget.maxUsd === null ? 'no cap' : `$${budget.maxUsd.toFixed(2)}`}`)
 
     fs.mkdirSync('data/independent-forecasts', { recursive: true })
 
     let totalCompleted = 0
     let totalCached = 0
-    let totalPersistentFailures = 0
+    let totalOverBudget = 0
+    let failures = []
     let questionsWithFailures = []
+    let questionsDone = 0
 
-    // Process questions in batches
-    for (let batchStart = 0; batchStart < questions.length; batchStart += BATCH_SIZE) {
-        const batchEnd = Math.min(batchStart + BATCH_SIZE, questions.length)
-        const batch = questions.slice(batchStart, batchEnd)
-
-        console.log(`\n[Batch ${Math.floor(batchStart/BATCH_SIZE) + 1}/${Math.ceil(questions.length/BATCH_SIZE)}] Questions ${batchStart + 1}-${batchEnd}`)
-
-        // Process all questions in batch concurrently
-        const batchPromises = batch.map((question, i) => {
-            const qIndex = batchStart + i
-            const requiredForecasts = getRequiredForecasts(question.id, qIndex)
-            return processQuestion(question, qIndex, requiredForecasts).then(result => ({
-                ...result,
-                question,
-                qIndex
-            }))
-        })
-
-        const batchResults = await Promise.all(batchPromises)
-
-        // Process results
-        for (const { results, persistentFailures, question, qIndex } of batchResults) {
+    await Promise.all(questions.map((question, qIndex) =>
+        processQuestion(question, getForecasts(question)).then(results => {
             const completed = results.filter(r => r.status === 'success').length
             const cached = results.filter(r => r.status === 'cached').length
+            const failed = results.filter(r => r.status === 'error')
 
             totalCompleted += completed
             totalCached += cached
-            totalPersistentFailures += persistentFailures
+            totalOverBudget += results.filter(r => r.status === 'over_budget').length
+            failures.push(...failed)
+            if (failed.length > 0) questionsWithFailures.push(question.id)
+            questionsDone++
 
-            if (completed > 0 || persistentFailures > 0) {
-                console.log(`  Q${qIndex + 1} (${question.id}): ${completed} completed, ${cached} cached, ${persistentFailures} failed`)
+            if (completed > 0 || failed.length > 0) {
+                console.log(`  [${questionsDone}/${questions.length}] Q${qIndex + 1} (${question.id}): ${completed} completed, ${cached} cached, ${failed.length} failed, spent ${formatBudget(budget)}`)
             }
+        })
+    ))
 
-            // Track questions with persistent failures
-            if (persistentFailures > 0) {
-                questionsWithFailures.push(question.id)
-
-                if (questionsWithFailures.length >= MAX_TOTAL_FAILURES) {
-                    console.error(`\n❌ STOPPING: ${MAX_TOTAL_FAILURES} questions with persistent failures`)
-                    console.error(`Failed questions: ${questionsWithFailures.join(', ')}`)
-                    console.error(`Fix the issue and re-run. Cached forecasts will be skipped.`)
-                    process.exit(1)
-                }
-            }
-        }
-
-        console.log(`  Batch total: ${batchResults.reduce((s, r) => s + r.results.filter(x => x.status === 'success').length, 0)} completed`)
-    }
+    const failuresByKind = {}
+    for (const f of failures) failuresByKind[f.kind] = (failuresByKind[f.kind] || 0) + 1
+    const disabled = scheduler.disabledProviders()
 
     console.log(`\n${'='.repeat(60)}`)
-    if (questionsWithFailures.length > 0) {
+    if (failures.length > 0) {
         console.log(`⚠️  COMPLETED WITH FAILURES`)
         console.log(`  Failed questions: ${questionsWithFailures.join(', ')}`)
-        console.log(`  Completed: ${totalCompleted}`)
-        console.log(`  Cached: ${totalCached}`)
-        console.log(`  Persistent failures: ${totalPersistentFailures}`)
+    } else if (budget.exhausted) {
+        console.log(`⚠️  STOPPED AT BUDGET`)
+    } else {
+        console.log(`✅ DONE!`)
+    }
+    console.log(`  Completed: ${totalCompleted}`)
+    console.log(`  Cached: ${totalCached}`)
+    console.log(`  Over budget: ${totalOverBudget}`)
+    console.log(`  Persistent failures: ${failures.length}${failures.length > 0 ? ` (${Object.entries(failuresByKind).map(([k, n]) => `${k}: ${n}`).join(', ')})` : ''}`)
+    for (const [provider, reason] of Object.entries(disabled)) {
+        console.log(`  Disabled provider ${provider}: ${reason}`)
+    }
+    console.log(`  Spent: ${formatBudget(budget)}`)
+
+    if (failures.length > 0) {
         console.error(`\n❌ DO NOT proceed to deliberative stage until failures are resolved.`)
         console.error(`Fix issues and re-run. Cached forecasts will be skipped.`)
         process.exit(1)
-    } else {
-        console.log(`✅ DONE!`)
-        console.log(`  Completed: ${totalCompleted}`)
-        console.log(`  Cached: ${totalCached}`)
-        console.log(`  Total: ${totalCompleted + totalCached}`)
+    }
+    if (budget.exhausted) {
+        console.error(`\nRaise --max-usd and re-run. Cached forecasts will be skipped.`)
+        process.exit(1)
     }
 }
 
@@ -1,5 +1,17 @@
 import { generateObject } from 'ai'
-import { getOpenModel } from './agentUtils.js'
+import { getOpenModel, getProviderOptions } from './agentUtils.js'
+import { computeCacheKey } from './response-cache.js'
+import {
+    getQuestionType,
+    getForecastField,
+    getScenarios,
+    forecastSchema,
+    describeAnswerSpace,
+    describeForecastFormat,
+    describeForecastJustification,
+    describeForecastShape,
+    repairForecast,
+} from './question-types.js'
 import { z } from 'zod'
 
 
@@ -42,46 +54,106 @@ Before answering you think:
 }`
 
 
-export const independentForecastingAgent = async (question, information, model, infoLabel, instance = null) => {
+// Numeric, date and multiple-choice questions: type-specific scenarios and forecast field
+const generateNonBinaryPrompt = (question, information) => {
+    const [first, second] = getScenarios(question)
+    return `You are a professional forecaster interviewing for a job.
 
-    if(!infoLabel || !model) throw new Error('Label and model are required')
-    const instanceSuffix = instance ? `-${instance}` : ''
-    const forecastId = `${question.id}-${model}-${infoLabel}${instanceSuffix}`
+Your interview question is:
+${question.questionTitle}
 
-    const prompt = generatePrompt(question, information)
+Question background:
+${question.questionDescription}
+
+
+This question's outcome will be determined by the specific criteria below. These criteria have not yet been satisfied:
+${question.questionResolutionCriteria}
 
+${question.questionFinePrint}
 
-    const schema = z.object({
+${describeAnswerSpace(question)}
+
+
+Your research assistant's report says:
+${information}
+
+Today is ${question.date}.
+
+Before answering you think:
+(a) The time left until the outcome to the question is known.
+(b) The status quo outcome if nothing changed.
+(c) A brief description of ${first.description}.
+(d) A brief description of ${second.description}.
+(e) You write your rationale remembering that good forecasters put extra weight on the status quo outcome since the world changes slowly most of the time. Explain your reasoning and the evidence behind your forecast in detail. Summarise information your received from your research assistant that influences your forecast (if any). ${describeForecastJustification(question)} Outline what would need to be true for you to update your forecast in either direction.
+(f) The last thing you write is ${describeForecastFormat(question)}.
+
+# OUTPUT SCHEMA
+{
+    "time_left_until_outcome_known": "string",
+    "status_quo_outcome": "string",
+    "${first.key}": "string",
+    "${second.key}": "string",
+    "rationale": "string",
+    ${describeForecastShape(question)}
+}`
+}
+
+
+const OUTPUT_SCHEMA = z.object({
+    time_left_until_outcome_known: z.string(),
+    status_quo_outcome: z.string(),
+    no_outcome_scenario: z.string(),
+    yes_outcome_scenario: z.string(),
+    rationale: z.string(),
+    probability: z.number().describe('Minimum 0, maximum 100'),
+})
+
+const nonBinaryOutputSchema = (question) => {
+    const [first, second] = getScenarios(question)
+    return z.object({
         time_left_until_outcome_known: z.string(),
         status_quo_outcome: z.string(),
-        no_outcome_scenario: z.string(),
-        yes_outcome_scenario: z.string(),
+        [first.key]: z.string(),
+        [second.key]: z.string(),
         rationale: z.string(),
-        probability: z.number().describe('Minimum 0, maximum 100'),
+        [getForecastField(question)]: forecastSchema(question),
     })
+}
 
-    const result = await generateObject({
-        model: getOpenModel(model),
-        schema: schema,
+
+// Everything sent to the model except the model itself, plus the cache key derived from it
+export const buildIndependentForecastRequest = (question, information, model, infoLabel, instance = null) => {
+
+    if(!infoLabel || !model) throw new Error('Label and model are required')
+    const instanceSuffix = instance ? `-${instance}` : ''
+    const forecastId = `${question.id}-${model}-${infoLabel}${instanceSuffix}`
+
+    const binary = getQuestionType(question) === 'binary'
+    const prompt = binary ? generatePrompt(question, information) : generateNonBinaryPrompt(question, information)
+
+    const request = {
+        schema: binary ? OUTPUT_SCHEMA : nonBinaryOutputSchema(question),
         prompt: prompt,
         maxOutputTokens: 10_000,
-        providerOptions: {
-            openrouter: {
-                reasoning: {
-                  max_tokens: 5_000,
-                },
-            },
-            anthropic: {
-                thinking: { type: 'enabled', budgetTokens: 5_000 },
-            },
-            openai: {
-                reasoning: { effort: "medium", summary: "auto" },
-            },
-            google: {
-                thinkingConfig: { thinkingBudget: -1 }, // dynamic
-            },
-        },
+        providerOptions: getProviderOptions(model),
+    }
+
+    return { forecastId, prompt, request, cacheKey: computeCacheKey(model, request) }
+}
+
+
+export const independentForecastingAgent = async (question, information, model, infoLabel, instance = null) => {
+
+    const { forecastId, prompt, request, cacheKey } = buildIndependentForecastRequest(question, information, model, infoLabel, instance)
+
+    const result = await generateObject({
+        model: getOpenModel(model, { replayKey: forecastId }),
+        ...request,
+        maxRetries: 0, // retried by the scheduler
     })
 
-    return {object: result.object, prompt: prompt, id: forecastId, instance}
+    const { forecast, repairs } = repairForecast(question, result.object)
+    const object = repairs.length > 0 ? { ...forecast, repairs } : forecast
+
+    return {object, usage: result.usage, prompt: prompt, id: forecastId, instance, cacheKey}
 }
\ No newline at end of file
@@ -0,0 +1,90 @@
+import { unitText, hasProvenance } from './information-units.js'
+
+// Quality checks of extracted information packages: the number of units, the word limit,
+// pairwise overlap between units (word n-gram Jaccard similarity), forbidden content
+// (forecast-like percentages, opinion phrasing) and, for units with provenance, that each cites
+// a comment. Returns a list of issues; empty if the package passes.
+
+export const MAX_WORDS = 1000
+export const MAX_OVERLAP = 0.2 // Jaccard similarity of word trigrams between two units
+const NGRAM = 3
+
+// Percentages tied to a chance or a forecast, e.g. "a 70% chance", "probability of 35%",
+// "we forecast 60%"; plain statistics such as "inflation rose 3.2%" pass
+const FORECAST_PATTERNS = [
+    /\b\d+(\.\d+)?\s?%\s+(chance|probability|likelihood|likely|odds)\b/i,
+    /\b(chance|probability|likelihood|odds)\s+(of|at|is|was|around|about)\s+(~|about |around )?\d+(\.\d+)?\s?%/i,
+    /\b(forecast|estimate|prediction|put it at|assign)\w*\s+(of\s+|at\s+|is\s+)?(~|about |around )?\d+(\.\d+)?\s?%/i,
+]
+
+// First-person judgements and hedged opinions of the reports' authors
+const OPINION_PATTERNS = [
+    /\b(I|we)\s+(think|believe|expect|estimate|predict|forecast|would|feel|assess|judge)\b/i,
+    /\bin (my|our) (view|opinion|judgement|judgment|assessment)\b/i,
+    /\b(my|our) (forecast|estimate|prediction|view)\b/i,
+    /\b(it seems|it appears) (likely|unlikely|probable|improbable)\b/i,
+]
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length
+
+const ngrams = (text, n = NGRAM) => {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+    const grams = new Set()
+    for (let i = 0; i + n <= words.length; i++) grams.add(words.slice(i, i + n).join(' '))
+    return grams
+}
+
+export const jaccard = (a, b) => {
+    if (a.size === 0 && b.size === 0) return 0
+    let shared = 0
+    for (const gram of a) if (b.has(gram)) shared++
+    return shared / (a.size + b.size - shared)
+}
+
+// The first matching passage, with some context, for the report
+const findMatch = (text, patterns) => {
+    for (const pattern of patterns) {
+        const match = text.match(pattern)
+        if (match) return text.slice(Math.max(0, match.index - 30), match.index + match[0].length + 30).replace(/\s+/g, ' ').trim()
+    }
+    return null
+}
+
+// issues: [{ check, unit, detail }], unit being 1-based ("1-2" for overlapping pairs)
+export const checkInformationPackage = (units, { expectedUnits, maxWords = MAX_WORDS, maxOverlap = MAX_OVERLAP } = {}) => {
+    const issues = []
+    if (!Array.isArray(units) || units.some(u => typeof unitText(u ?? {}) !== 'string')) {
+        return [{ check: 'format', unit: null, detail: 'information_units must be a list of strings or { text, sources } units' }]
+    }
+    if (expectedUnits && units.length !== expectedUnits) {
+        issues.push({ check: 'count', unit: null, detail: `expected ${expectedUnits} units, got ${units.length}` })
+    }
+
+    units.forEach((unit, i) => {
+        const text = unitText(unit)
+        if (hasProvenance(unit) && unit.sources.length === 0) issues.push({ check: 'source', unit: i + 1, detail: 'cites no known comment' })
+
+        const words = countWords(text)
+        if (words === 0) issues.push({ check: 'empty', unit: i + 1, detail: 'unit is empty' })
+        if (words > maxWords) issues.push({ check: 'length', unit: i + 1, detail: `${words} words (limit ${maxWords})` })
+
+        const forecast = findMatch(text, FORECAST_PATTERNS)
+        if (forecast) issues.push({ check: 'forecast', unit: i + 1, detail: `forecast-like percentage: "${forecast}"` })
+        const opinion = findMatch(text, OPINION_PATTERNS)
+        if (opinion) issues.push({ check: 'opinion', unit: i + 1, detail: `opinion phrasing: "${opinion}"` })
+    })
+
+    const grams = units.map(unit => ngrams(unitText(unit)))
+    for (let i = 0; i < units.length; i++) {
+        for (let j = i + 1; j < units.length; j++) {
+            const overlap = jaccard(grams[i], grams[j])
+            if (overlap > maxOverlap) {
+                issues.push({ check: 'overlap', unit: `${i + 1}-${j + 1}`, detail: `${NGRAM}-gram Jaccard similarity ${overlap.toFixed(2)} (limit ${maxOverlap})` })
+            }
+        }
+    }
+
+    return issues
+}
+
+export const formatIssue = ({ check, unit, detail }) => `${check}${unit === null ? '' : ` (unit ${unit})`}: ${detail}`
@@ -1,20 +1,48 @@
 import fs from 'fs'
 import { generateObject } from 'ai'
-import { getOpenModel } from './agentUtils.js'
+import { getOpenModel, getModelConfig, getProviderOptions } from './agentUtils.js'
+import { createBudget, formatBudget, sumUsage } from './costs.js'
+import { createScheduler } from './scheduler.js'
+import { openJournal, getUnfinishedJobs } from './journal.js'
+import { hasFlag, getArgValue, getNumberArg } from './cliUtils.js'
+import { checkInformationPackage, formatIssue, MAX_OVERLAP } from './information-checks.js'
+import { toSourcedUnit } from './information-units.js'
 import { z } from 'zod'
 
+// Extracts K information units per question (--units, default 3) from the bots' comments.
+// Every package is checked (information-checks.js); failing packages are re-extracted with
+// the issues as feedback (--max-extractions, default 2), and flagged if they still fail.
+// --recheck re-runs the checks on saved packages, --reextract-flagged extracts flagged ones again.
+// Questions scraped with comment spans (commentSources) get units with provenance: the model
+// cites the numbered comments each unit comes from (see information-units.js).
 
+const MODEL = getArgValue('--model', 'pro') // model alias (config/models.json)
+const UNITS = getNumberArg('--units', 3)
+const MAX_EXTRACTIONS = getNumberArg('--max-extractions', 2)
+const MAX_OVERLAP_ARG = getNumberArg('--max-overlap', MAX_OVERLAP) // n-gram Jaccard similarity between units
+const RECHECK = hasFlag('--recheck')
+const REEXTRACT_FLAGGED = hasFlag('--reextract-flagged')
 
-const systemPrompt = `# ROLE AND CONTEXT
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten']
+const numberWord = (n) => NUMBER_WORDS[n] ?? `${n}`
+
+
+
+// Output format of the units: plain strings, or objects citing comment numbers (sourced)
+const describeOutput = (units, sourced) => sourced
+    ? Array.from({ length: units }, (_, i) => `        { "text": "information unit ${i + 1}", "comments": [${i + 1}] },`).join('\n')
+    : Array.from({ length: units }, (_, i) => `        "information unit ${i + 1}",`).join('\n')
+
+const buildSystemPrompt = (units, sourced = false) => `# ROLE AND CONTEXT
 You are an knowledge and information specialist: your job is to redact, summarise, and separate different pieces of information from a report.
 
 Your are working in a scientific project, that aims to back-test AI forecasting agents.
 
 The ultimate  objective is to generate a data set that can be used to back-test AI forecasting agents under different information conditions. A key coponent of the analysis will be to test the effect of different information units on the performance of the agent. 
 
-More specifically, three AI forecasting agents will work together to generate a forecast for the question. Each forecasting agent will posess a different, unique piece of information that is relevant to the question, that the other two agents do not have. The aim is to test the effect of deliberation and information exchange on the performance of the agents as a group.
+More specifically, ${numberWord(units)} AI forecasting agents will work together to generate a forecast for the question. Each forecasting agent will posess a different, unique piece of information that is relevant to the question, that the other ${units === 2 ? 'agent does' : `${numberWord(units - 1)} agents do`} not have. The aim is to test the effect of deliberation and information exchange on the performance of the agents as a group.
 
-Your job is to prepare these information packages for the agents: 3 units of non-overlapping accurate information.
+Your job is to prepare these information packages for the agents: ${units} units of non-overlapping accurate information.
 
 
 # INPUT DATA
@@ -41,20 +69,20 @@ Your task is to extract and summarise information that fulfils the following cri
     3) the information does not contain any subjective judgements or opinions
     4) the information does not contain any probabilistic forecasts or predictions
 
-Split the information into 3 units, each of which should be a separate piece of information. 
+Split the information into ${units} units, each of which should be a separate piece of information. 
 
 
 ##  GUIDELINES:
 
 - Summarise the information that seems most important and relevant to the question. 
-- Your summary should split the information into 3 units, each of which should be a separate piece of information. 
+- Your summary should split the information into ${units} units, each of which should be a separate piece of information. 
 - Split the information in a sensible, natural way (e.g. by type of information or by sources of information).
 - Do not try to deliberately split information with respect to whether they make the outcome more or less likely. Occasionally, this may happen naturally, but do not force it.
 
 
 # FINAL CHECKS
 
-1) You have extracted and summarised the information from the report and split it into 3 units, each of which should be a separate piece of information.
+1) You have extracted and summarised the information from the report and split it into ${units} units, each of which should be a separate piece of information.
 2) No information unit should contain more than 1000 words.
 3) the infromation units only include facts, background information, and other information that is relevant to the question.
 4) the information does not include:
@@ -69,18 +97,23 @@ Split the information into 3 units, each of which should be a separate piece of
 The output should be a JSON object with the following structure:
 {
     "information_units": [
-        "information unit 1",
-        "information unit 2",
-        "information unit 3",
+${describeOutput(units, sourced)}
     ]
 }
     
-Notes: be clear and concise. Focus on factual information, statements, news reports, etc. Do not include any reasoning or critique of the information. Do not include information generally known to the public. Do not start the information units with 'Information unit 1:' or any other such prefix.`
+Notes: be clear and concise. Focus on factual information, statements, news reports, etc. Do not include any reasoning or critique of the information. Do not include information generally known to the public. Do not start the information units with 'Information unit 1:' or any other such prefix.${sourced ? `
+
+The reports are split into numbered comments (<|comment id="1"|>...). For each unit, list in "comments" the numbers of all comments its information comes from.` : ''}`
 
 
-const informationProcessor = async (report = {}) => {
+// previous: { units, issues } of a package that failed the checks, sent back as feedback
+const buildInformationRequest = (report = {}, previous = null) => {
 
-    const {questionTitle, questionDescription, questionResolutionCriteria, questionFinePrint, comments} = report
+    const {questionTitle, questionDescription, questionResolutionCriteria, questionFinePrint, comments, commentSources} = report
+    const sourced = commentSources?.length > 0
+    const reports = sourced
+        ? commentSources.map(({ source, start, end }) => `<|comment id="${source}"|>\n${comments.slice(start, end)}\n</|comment|>`).join('\n\n')
+        : comments
 
 
     const userPrompt = `# Original Forecasting Question:
@@ -99,55 +132,98 @@ Fine print: ${questionFinePrint}
 The following reports were generated by AI agents before the outcome of the question was determined and submitted to Metaculus:
 
 <|agents_reports|>
-${comments}
+${reports}
 </|agents_reports|>
 
 
 # Task:
-Please extract and summarise the information from the agents' reports and split it into 3 units, each of which should be a separate piece of information. Be extremely thorough, conscientious, and think hard.`
+Please extract and summarise the information from the agents' reports and split it into ${UNITS} units, each of which should be a separate piece of information. Be extremely thorough, conscientious, and think hard.`
 
-    const MODEL = 'pro'
-    const result = await generateObject({
-        model: getOpenModel(MODEL),
+    return {
         schema: z.object({
-            information_units: z.array(z.string()),
+            information_units: z.array(sourced
+                ? z.object({ text: z.string(), comments: z.array(z.number().int()).describe('Numbers of the comments the unit comes from') })
+                : z.string()), // the count is checked afterwards, with re-extraction feedback
         }),
-        system: systemPrompt,
+        system: buildSystemPrompt(UNITS, sourced),
         messages: [{
             role: 'user',
             content: userPrompt
-        }],
-        providerOptions: {
-            google: {
-              thinkingConfig: {
-                thinkingBudget: 2_500,
-              },
-            },
-        },
+        }, ...(previous ? [{
+            role: 'assistant',
+            content: JSON.stringify({ information_units: previous.units })
+        }, {
+            role: 'user',
+            content: `Your information units failed these checks:\n${previous.issues.map(issue => `- ${formatIssue(issue)}`).join('\n')}\n\nPlease extract the information again as ${UNITS} units that pass all checks.`
+        }] : [])],
+        providerOptions: getProviderOptions(MODEL),
         maxOutputTokens: 10_000
+    }
+}
+
+
+const informationProcessor = async (report, request) => {
+    const result = await generateObject({
+        model: getOpenModel(MODEL, { replayKey: `information-${report.id}` }),
+        ...request,
+        maxRetries: 0, // retried by the scheduler
     })
-    return result.object
+    return { object: result.object, usage: result.usage }
 }
 
 
 
-const questionsRaw = JSON.parse(fs.readFileSync('data/raw/questions.json', 'utf8'));
+const OUTPUT_PATH = 'data/processed/questions.json';
+const RETRY_FAILED = hasFlag('--retry-failed'); // only questions the journal lists as failed or interrupted
+
+// Written after every question (via a temporary file), so a crash loses at most the current one
+const saveQuestions = (questions) => {
+    fs.writeFileSync(`${OUTPUT_PATH}.tmp`, JSON.stringify(questions, null, 2))
+    fs.renameSync(`${OUTPUT_PATH}.tmp`, OUTPUT_PATH)
+}
+
+getModelConfig(MODEL); // fail early on an unknown alias
+
+let questionsRaw = JSON.parse(fs.readFileSync('data/raw/questions.json', 'utf8'));
 
 fs.mkdirSync('data/processed', { recursive: true });
 
 let questions = []
-if (fs.existsSync('data/processed/questions.json')) {
+if (fs.existsSync(OUTPUT_PATH)) {
     // can re-run to fix errors of previous runs
-    questions = JSON.parse(fs.readFileSync('data/processed/questions.json', 'utf8'))
+    questions = JSON.parse(fs.readFileSync(OUTPUT_PATH, 'utf8'))
+}
+if (RETRY_FAILED) {
+    const unfinished = getUnfinishedJobs('information');
+    questionsRaw = questionsRaw.filter(q => unfinished.has(String(q.id)));
+    console.log(`RETRY FAILED: ${questionsRaw.length} failed or interrupted question(s)`);
+}
+// Saved packages: units whose count is off cannot be mapped to info labels and are re-extracted;
+// other failed checks are recorded in question.validation
+const checkPackage = (units, expectedUnits) => checkInformationPackage(units, { expectedUnits, maxOverlap: MAX_OVERLAP_ARG })
+
+if (RECHECK) {
+    for (const q of questions) {
+        const issues = checkPackage(q.informationPackages, q.processing?.units || UNITS)
+        q.validation = { passed: issues.length === 0, extractions: q.validation?.extractions ?? 1, issues }
+    }
+    saveQuestions(questions)
+    console.log(`RECHECK: ${questions.filter(q => !q.validation.passed).length} of ${questions.length} saved package(s) flagged`)
 }
+
 let i = 0;
 let errors = 0;
+let flagged = 0;
 let total = questionsRaw.length;
+const budget = createBudget(); // --max-usd
+const scheduler = createScheduler();
+const journal = openJournal('information'); // job id: question id
 for (const qRaw of questionsRaw) {
 
     // has it already been processed and saved?
     i++;
-    if (questions.find(q => q.id === qRaw.id)) {
+    const saved = questions.find(q => q.id === qRaw.id)
+    if (saved && !(REEXTRACT_FLAGGED && saved.validation?.passed === false)) {
         process.stdout.write(`\rQuestion ${i}/${total} already processed and saved.`);
         continue
     }
@@ -157,23 +233,66 @@ for (const qRaw of questionsRaw) {
     let question = {
         ...qRaw,
         comments: undefined,
+        commentSources: undefined, // kept per unit, in informationPackages
         informationPackages: [],
     }
+    const toUnits = (pkg) => qRaw.commentSources?.length > 0
+        ? pkg.information_units.map(unit => toSourcedUnit(unit, qRaw.commentSources))
+        : pkg.information_units
+
+    const jobId = String(qRaw.id)
+    journal.queued(jobId)
 
     let pkg = null;
+    let issues = [];
+    const usage = [];
     try {
-        pkg = await informationProcessor(qRaw)
+        // Failing packages are extracted again, with the issues as feedback
+        let overBudget = false;
+        while (usage.length < MAX_EXTRACTIONS && (pkg === null || issues.length > 0)) {
+            const request = buildInformationRequest(qRaw, pkg && { units: pkg.information_units, issues })
+            const result = await scheduler.run(MODEL, (attempt) => budget.run(MODEL, request, () => {
+                journal.running(jobId, attempt)
+                return informationProcessor(qRaw, request)
+            }), { label: `question ${qRaw.id}` });
+            if (!result) {
+                overBudget = true;
+                break
+            }
+            pkg = result.object
+            usage.push(result.usage)
+            issues = checkPackage(Array.isArray(pkg?.information_units) ? toUnits(pkg) : pkg?.information_units, UNITS)
+            if (issues.length > 0) {
+                console.log(`\n  Question ${qRaw.id}, extraction ${usage.length}: ${issues.map(formatIssue).join('; ')}`)
+            }
+        }
+        if (overBudget && pkg === null) {
+            console.error(`\nSTOPPING: next call would exceed the budget (${formatBudget(budget)})`)
+            break
+        }
 
-        if (!pkg || !pkg.information_units || pkg.information_units.length !== 3) {
+        if (!pkg || !pkg.information_units || pkg.information_units.length !== UNITS) {
             throw new Error(`Invalid information packages for question ${qRaw.id}`)
         }
-        question.informationPackages = pkg.information_units;
-        questions.push(question)
+        if (issues.length > 0) flagged++;
+        question.informationPackages = toUnits(pkg);
+        question.processing = { model: MODEL, units: UNITS, usage: sumUsage(usage) };
+        question.validation = { passed: issues.length === 0, extractions: usage.length, issues };
+        questions = saved ? questions.map(q => q.id === qRaw.id ? question : q) : [...questions, question]
+        saveQuestions(questions)
+        journal.succeeded(jobId)
+        if (overBudget) {
+            console.error(`\nSTOPPING: next call would exceed the budget (${formatBudget(budget)})`)
+            break
+        }
     } catch (error) {
+        journal.failed(jobId, error)
         errors++;
         console.error(`Error processing question ${qRaw.id}: ${error}`)
     }
 }
 
 console.log(`Errors: ${errors}`)
-fs.writeFileSync('data/processed/questions.json', JSON.stringify(questions, null, 2))
\ No newline at end of file
+console.log(`Flagged (failed checks after ${MAX_EXTRACTIONS} extraction(s)): ${flagged}`)
+console.log(`Spent: ${formatBudget(budget)}`)
+saveQuestions(questions)
@@ -0,0 +1,31 @@
+// Information units and their provenance. Units extracted from comments with recorded spans
+// (see metaculus-scraper.js) are objects:
+//   { text, sources: [{ source, authorId, author, commentId, start, end }] }
+// where start/end are character offsets into the raw question's comments; units of packages
+// extracted before provenance was kept are plain strings.
+
+// Tournament bots whose comments are scraped (Metaculus author ids), in scraping order
+export const BOT_AUTHORS = [
+    { id: 191026, name: 'mantic' },
+    { id: 191935, name: 'pgodzinai' },
+    { id: 188389, name: 'Panshul42' },
+    { id: 269787, name: 'metac-o3' }, // metac-o3-high+asknews
+]
+
+export const authorName = (authorId) => BOT_AUTHORS.find(a => a.id === authorId)?.name ?? null
+
+export const unitText = (unit) => typeof unit === 'string' ? unit : unit.text
+
+export const hasProvenance = (unit) => typeof unit !== 'string' && Array.isArray(unit.sources)
+
+// Distinct author ids a unit was extracted from ([] without provenance)
+export const unitAuthorIds = (unit) => hasProvenance(unit) ? [...new Set(unit.sources.map(s => s.authorId))] : []
+
+// The model cites comments by their 1-based source number; unknown numbers are dropped
+export const toSourcedUnit = ({ text, comments }, commentSources) => ({
+    text,
+    sources: [...new Set(comments)]
+        .map(n => commentSources.find(s => s.source === n))
+        .filter(Boolean)
+        .map(s => ({ ...s, author: authorName(s.authorId) })),
+})
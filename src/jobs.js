@@ -0,0 +1,97 @@
+import { spawnSync } from 'child_process'
+import { loadJobStates, getUnfinishedJobs, JOB_STATUSES, JOURNAL_PATH } from './journal.js'
+import { getArgValue, hasFlag } from './cliUtils.js'
+
+// Job journal commands:
+//   node src/jobs.js status [--stage independent] [--all]
+//   node src/jobs.js retry-failed [--stage independent] [stage options, e.g. --rounds 3]
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const COMMAND = process.argv[2]
+const STAGE = getArgValue('--stage')
+const SHOW_ALL = hasFlag('--all') // list every failed job, not just the first ones
+const MAX_LISTED = 20
+
+// Pipeline order
+const STAGE_SCRIPTS = {
+    information: 'src/information-processor.js',
+    leakage: 'src/leakage-audit.js',
+    memorization: 'src/memorization-probe.js',
+    independent: 'src/independent-forecast.js',
+    deliberative: 'src/deliberative-forecast.js',
+    facilitated: 'src/facilitated-forecast.js',
+}
+
+const selectedStages = () => {
+    if (STAGE && !STAGE_SCRIPTS[STAGE]) throw new Error(`Unknown stage: ${STAGE} (${Object.keys(STAGE_SCRIPTS).join(', ')})`)
+    return STAGE ? [STAGE] : Object.keys(STAGE_SCRIPTS)
+}
+
+// =============================================================================
+// STATUS
+// =============================================================================
+
+const showStatus = () => {
+    const states = loadJobStates()
+    console.log(`Journal: ${JOURNAL_PATH}\n`)
+
+    const header = ['stage', 'jobs', ...JOB_STATUSES, 'attempts']
+    console.log(`| ${header.join(' | ')} |`)
+    console.log(`| ${header.map(() => '---').join(' | ')} |`)
+    for (const stage of selectedStages()) {
+        const jobs = Object.values(states[stage] || {})
+        const counts = JOB_STATUSES.map(status => jobs.filter(j => j.status === status).length)
+        const attempts = jobs.reduce((sum, j) => sum + j.attempts, 0)
+        console.log(`| ${[stage, jobs.length, ...counts, attempts].join(' | ')} |`)
+    }
+
+    for (const stage of selectedStages()) {
+        const failed = Object.entries(states[stage] || {}).filter(([, job]) => job.status === 'failed')
+        const interrupted = Object.entries(states[stage] || {}).filter(([, job]) => job.status === 'running')
+        if (failed.length === 0 && interrupted.length === 0) continue
+
+        console.log(`\n${stage}: ${failed.length} failed, ${interrupted.length} interrupted`)
+        const listed = SHOW_ALL ? failed : failed.slice(0, MAX_LISTED)
+        for (const [id, job] of listed) {
+            console.log(`  ✗ ${id} (${job.kind || 'error'}, ${job.attempts} attempt(s)): ${job.lastError}`)
+        }
+        if (listed.length < failed.length) console.log(`  ... ${failed.length - listed.length} more (--all)`)
+    }
+}
+
+// =============================================================================
+// RETRY FAILED
+// =============================================================================
+
+// Re-runs each stage that has failed or interrupted jobs, restricted to those jobs
+const retryFailed = () => {
+    const passThrough = process.argv.slice(3).filter((arg, i, args) => arg !== '--stage' && args[i - 1] !== '--stage')
+
+    for (const stage of selectedStages()) {
+        const unfinished = getUnfinishedJobs(stage)
+        if (unfinished.size === 0) continue
+
+        console.log(`\n=== Retrying ${unfinished.size} ${stage} job(s) ===\n`)
+        const { status } = spawnSync('node', [STAGE_SCRIPTS[stage], '--retry-failed', ...passThrough], { stdio: 'inherit' })
+        if (status !== 0) {
+            console.error(`\n❌ ${stage} retry finished with failures; later stages were not retried`)
+            process.exit(status || 1)
+        }
+    }
+}
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+if (COMMAND === 'status') {
+    showStatus()
+} else if (COMMAND === 'retry-failed') {
+    retryFailed()
+} else {
+    console.error(`Usage: node src/jobs.js status|retry-failed [--stage ${Object.keys(STAGE_SCRIPTS).join('|')}]`)
+    process.exit(1)
+}
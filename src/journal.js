@@ -0,0 +1,78 @@
+import fs from 'fs'
+import path from 'path'
+import { getArgValue } from './cliUtils.js'
+
+// Append-only job journal shared by the LLM stages. Every state change of a job is one JSON
+// line { time, stage, job, status, ... }, so a crashed run leaves a complete record behind:
+//   queued    the job needs a model call (not cached)
+//   running   an attempt started (one line per attempt)
+//   succeeded the result was written
+//   failed    the job gave up; error, kind and attempts of the last try
+// The current state of a job is its latest line; a job left "running" was interrupted.
+
+export const JOURNAL_PATH = getArgValue('--journal', 'data/jobs/journal.jsonl')
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed']
+
+// =============================================================================
+// READING
+// =============================================================================
+
+// stage → job → { status, attempts, lastError, kind, updatedAt }
+export const loadJobStates = (journalPath = JOURNAL_PATH) => {
+    const states = {}
+    if (!fs.existsSync(journalPath)) return states
+
+    const lines = fs.readFileSync(journalPath, 'utf8').split('\n').filter(line => line.trim())
+    for (const line of lines) {
+        let entry
+        try {
+            entry = JSON.parse(line)
+        } catch {
+            continue // a line cut off by a crash
+        }
+        const jobs = states[entry.stage] || (states[entry.stage] = {})
+        const job = jobs[entry.job] || (jobs[entry.job] = { status: null, attempts: 0, lastError: null, kind: null, updatedAt: null })
+
+        job.status = entry.status
+        job.updatedAt = entry.time
+        if (entry.status === 'running') job.attempts++
+        if (entry.status === 'failed') {
+            job.lastError = entry.error
+            job.kind = entry.kind || null
+        }
+    }
+    return states
+}
+
+// Jobs of a stage that did not finish: failed, or interrupted while running
+export const getUnfinishedJobs = (stage, journalPath = JOURNAL_PATH) => {
+    const jobs = loadJobStates(journalPath)[stage] || {}
+    return new Set(Object.entries(jobs)
+        .filter(([, job]) => job.status === 'failed' || job.status === 'running')
+        .map(([id]) => id))
+}
+
+// =============================================================================
+// WRITING
+// =============================================================================
+
+export const openJournal = (stage, journalPath = JOURNAL_PATH) => {
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true })
+
+    const append = (job, status, details = {}) => {
+        const entry = { time: new Date().toISOString(), stage, job, status, ...details }
+        fs.appendFileSync(journalPath, JSON.stringify(entry) + '\n')
+    }
+
+    return {
+        queued: (job) => append(job, 'queued'),
+        running: (job, attempt) => append(job, 'running', { attempt }),
+        succeeded: (job) => append(job, 'succeeded'),
+        failed: (job, error) => append(job, 'failed', {
+            error: error.message,
+            kind: error.kind,
+            attempts: error.attempts,
+        }),
+    }
+}
@@ -0,0 +1,185 @@
+import fs from 'fs'
+import { generateObject } from 'ai'
+import { getOpenModel, getModelConfig, getProviderOptions } from './agentUtils.js'
+import { computeCacheKey } from './response-cache.js'
+import { createBudget, formatBudget } from './costs.js'
+import { createScheduler } from './scheduler.js'
+import { openJournal, getUnfinishedJobs } from './journal.js'
+import { getArgValue, hasFlag } from './cliUtils.js'
+import { auditQuestion, LEAKAGE_REPORT_PATH } from './leakage-checks.js'
+import { unitText } from './information-units.js'
+import { z } from 'zod'
+
+// Temporal leakage audit of data/processed/questions.json: every information unit is checked
+// against the question's forecast date and resolution criteria (leakage-checks.js), optionally
+// with an LLM judge (--judge <model alias>) whose verdict, where there is one, decides over the
+// heuristics. Writes a per-question report to data/processed/leakage-report.json; the forecast
+// runners skip flagged questions with --exclude-flagged.
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const JUDGE = getArgValue('--judge', null) // model alias; heuristics only without it
+const RETRY_FAILED = hasFlag('--retry-failed') // only judge questions the journal lists as failed or interrupted
+const MAX_LISTED = 20
+const budget = createBudget() // --max-usd
+const scheduler = createScheduler() // per-provider limits from config/models.json
+const journal = openJournal('leakage') // job id: question id
+
+// =============================================================================
+// LLM JUDGE
+// =============================================================================
+
+const generatePrompt = (question) => `You are auditing the inputs of a forecasting experiment for temporal leakage. Forecasters will answer the question below as of ${question.date}, using the information units listed after it. The units must only contain information that was available on ${question.date}.
+
+The question is:
+${question.questionTitle}
+
+Resolution criteria:
+${question.questionResolutionCriteria}
+
+${question.questionFinePrint}
+
+The information units:
+
+${question.informationPackages.map((unit, i) => `## Unit ${i + 1}\n\n${unitText(unit)}`).join('\n\n')}
+
+Does any unit leak information from after ${question.date}? Leakage is (a) an event reported as having happened after that date, or (b) a statement that reveals or asserts how the question resolved. Scheduled or expected future events, described as such, are not leakage.
+Answer with whether there is leakage, the numbers of the leaking units (empty if none), and a short explanation.`
+
+const JUDGE_SCHEMA = z.object({
+    leakage: z.boolean().describe('Whether any unit leaks information from after the forecast date'),
+    units: z.array(z.number().int()).describe('Numbers of the leaking units (1-based); empty if none'),
+    explanation: z.string().describe('Which statements leak, and why'),
+})
+
+const buildJudgeRequest = (question) => {
+    const request = {
+        schema: JUDGE_SCHEMA,
+        prompt: generatePrompt(question),
+        maxOutputTokens: 5_000,
+        providerOptions: getProviderOptions(JUDGE),
+    }
+    return { request, cacheKey: computeCacheKey(JUDGE, request) }
+}
+
+const leakageJudge = async (question, request) => {
+    const result = await generateObject({
+        model: getOpenModel(JUDGE, { replayKey: `leakage-${question.id}` }),
+        ...request,
+        maxRetries: 0, // retried by the scheduler
+    })
+    return { object: result.object, usage: result.usage }
+}
+
+// { status, judge }: the previous verdict is reused while the request is unchanged
+const judgeQuestion = async (question, previous) => {
+    const { request, cacheKey } = buildJudgeRequest(question)
+    if (previous?.model === JUDGE && previous.cacheKey === cacheKey) {
+        return { status: 'cached', judge: previous }
+    }
+
+    const jobId = String(question.id)
+    journal.queued(jobId)
+    try {
+        const result = await scheduler.run(JUDGE, (attempt) => budget.run(JUDGE, request, () => {
+            journal.running(jobId, attempt)
+            return leakageJudge(question, request)
+        }), { label: `question ${question.id}` })
+
+        if (!result) return { status: 'over_budget', judge: previous ?? null }
+
+        journal.succeeded(jobId)
+        const { leakage, units, explanation } = result.object
+        return { status: 'success', judge: { model: JUDGE, leakage, units, explanation, usage: result.usage, cacheKey } }
+    } catch (error) {
+        journal.failed(jobId, error)
+        console.log(`    ✗ question ${question.id}: ${error.kind} after ${error.attempts} attempt(s): ${error.message}`)
+        return { status: 'error', judge: previous ?? null }
+    }
+}
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+const main = async () => {
+    if (JUDGE) getModelConfig(JUDGE) // fail early on an unknown alias
+
+    const questions = JSON.parse(fs.readFileSync('data/processed/questions.json', 'utf8'))
+    const previousReport = fs.existsSync(LEAKAGE_REPORT_PATH) ? JSON.parse(fs.readFileSync(LEAKAGE_REPORT_PATH, 'utf8')) : null
+    const previousJudges = new Map((previousReport?.questions || []).map(q => [q.questionId, q.judge]))
+
+    let toJudge = JUDGE ? questions : []
+    if (JUDGE && RETRY_FAILED) {
+        const unfinished = getUnfinishedJobs('leakage')
+        toJudge = questions.filter(q => unfinished.has(String(q.id)))
+        console.log(`RETRY FAILED: ${toJudge.length} failed or interrupted question(s)`)
+    }
+
+    console.log(`Auditing ${questions.length} questions...`)
+    console.log(`Judge: ${JUDGE || 'none (heuristics only)'}`)
+    if (JUDGE) console.log(`Budget: ${budget.maxUsd === null ? 'no cap' : `$${budget.maxUsd.toFixed(2)}`}`)
+
+    const judged = new Map()
+    const statuses = []
+    await Promise.all(toJudge.map(question =>
+        judgeQuestion(question, previousJudges.get(question.id)).then(({ status, judge }) => {
+            judged.set(question.id, judge)
+            statuses.push(status)
+        })
+    ))
+
+    // Judge verdicts of questions not judged in this run are kept
+    const entries = questions.map(question => {
+        const audit = auditQuestion(question)
+        const judge = judged.has(question.id) ? judged.get(question.id) : (previousJudges.get(question.id) ?? null)
+        return {
+            questionId: audit.questionId,
+            date: audit.date,
+            flagged: judge ? judge.leakage : audit.heuristicFlagged,
+            heuristicFlagged: audit.heuristicFlagged,
+            judgeFlagged: judge ? judge.leakage : null,
+            lateEvents: audit.lateEvents,
+            outcomeStatements: audit.outcomeStatements,
+            judge,
+        }
+    })
+
+    fs.mkdirSync('data/processed', { recursive: true })
+    fs.writeFileSync(LEAKAGE_REPORT_PATH, JSON.stringify({ judge: JUDGE, questions: entries }, null, 2))
+
+    const flagged = entries.filter(e => e.flagged)
+    const count = (status) => statuses.filter(s => s === status).length
+
+    console.log(`\n${'='.repeat(60)}`)
+    if (count('error') > 0) {
+        console.log(`⚠️  COMPLETED WITH FAILURES`)
+    } else if (budget.exhausted) {
+        console.log(`⚠️  STOPPED AT BUDGET`)
+    } else {
+        console.log(`✅ DONE!`)
+    }
+    console.log(`  Flagged: ${flagged.length} of ${entries.length}`)
+    console.log(`    by heuristics: ${entries.filter(e => e.heuristicFlagged).length} (late events: ${entries.filter(e => e.lateEvents.some(ev => ev.reported)).length}, outcome statements: ${entries.filter(e => e.outcomeStatements.length > 0).length})`)
+    console.log(`    by the judge: ${entries.filter(e => e.judgeFlagged === true).length} of ${entries.filter(e => e.judge).length} judged`)
+    if (JUDGE) {
+        console.log(`  Judged: ${count('success')}, cached: ${count('cached')}, over budget: ${count('over_budget')}, failed: ${count('error')}`)
+        console.log(`  Spent: ${formatBudget(budget)}`)
+    }
+    for (const e of flagged.slice(0, MAX_LISTED)) {
+        const reasons = [
+            ...e.lateEvents.filter(ev => ev.reported).map(ev => `unit ${ev.unit}: ${ev.text}`),
+            ...e.outcomeStatements.map(s => `unit ${s.unit}: ${s.reason}`),
+            ...(e.judgeFlagged ? [`judge: units ${e.judge.units.join(', ') || '?'}`] : []),
+        ]
+        console.log(`  ✗ ${e.questionId} (${e.date}): ${reasons.join('; ')}`)
+    }
+    if (flagged.length > MAX_LISTED) console.log(`  ... and ${flagged.length - MAX_LISTED} more`)
+    console.log(`  Report: ${LEAKAGE_REPORT_PATH}`)
+
+    if (count('error') > 0 || budget.exhausted) process.exit(1)
+}
+
+main().catch(console.error)
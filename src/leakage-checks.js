@@ -0,0 +1,170 @@
+import fs from 'fs'
+import { unitText } from './information-units.js'
+
+// Temporal leakage heuristics for information units: dated events after the question's
+// forecast date, and statements that assert the outcome. The audit (leakage-audit.js) writes
+// its verdicts to LEAKAGE_REPORT_PATH, which the forecasting stages read for --exclude-flagged.
+
+export const LEAKAGE_REPORT_PATH = 'data/processed/leakage-report.json'
+
+// =============================================================================
+// DATED EVENTS
+// =============================================================================
+
+const MONTHS = {
+    jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5,
+    jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9,
+    oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12,
+}
+const MONTH = `(${Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|')})\\.?`
+
+const isoDate = (year, month, day = 1) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+
+// Most specific first; matched spans are masked so "12 May 2025" is not read again as "May 2025".
+// Each date stands for the first day of its period, so an event is only "after" the forecast
+// date if the whole period is.
+const DATE_PATTERNS = [
+    { precision: 'day', pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g, toDate: m => isoDate(m[1], m[2], m[3]) },
+    { precision: 'day', pattern: new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'), toDate: m => isoDate(m[3], MONTHS[m[1].toLowerCase()], m[2]) },
+    { precision: 'day', pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH},?\\s+(\\d{4})\\b`, 'gi'), toDate: m => isoDate(m[3], MONTHS[m[2].toLowerCase()], m[1]) },
+    { precision: 'month', pattern: new RegExp(`\\b${MONTH},?\\s+(\\d{4})\\b`, 'gi'), toDate: m => isoDate(m[2], MONTHS[m[1].toLowerCase()]) },
+    { precision: 'quarter', pattern: /\bQ([1-4])\s+(\d{4})\b/g, toDate: m => isoDate(m[2], 3 * (m[1] - 1) + 1) },
+]
+
+// A date after the forecast date is leakage when its clause reports it as having happened
+// ("on June 20, 2025, the Fed cut rates"), not when it looks ahead ("the vote will be held on
+// June 15, 2025", "the ban taking effect on January 1, 2026") or names a deadline or period
+// ("polls be held by December 2025", "a surprise election for July 2025")
+const PAST = /\b(was|were|had|has been|have been|did|announced|reported|said|stated|confirmed|released|published|won|lost|rose|fell|dropped|climbed|closed|ended|finished|signed|approved|passed|voted|held|occurred|took place|launched|cut|raised|declared|resigned|died|recorded|reached)\b/i
+const SCHEDULED = /\b(will|would|could|might|scheduled|expected|planned|projected|forecast|set to|to be|due|upcoming|slated|deadline|until|through|starting|start|begins?|tak(e|es|ing) effect|effective|ahead of|goal|target|aims?|proposed|next|not yet|yet to|pending)\b/i
+// A marker within the five words before the date
+const DEADLINE = /\b(by|before|for|until|till|pending|expir(e|es|ing|y))\b(\W+[\w']+){0,5}\W*$/i
+
+const splitSentences = (text) => text.replace(/\s+/g, ' ').split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/)
+
+// Clauses break at semicolons, dashes and conjunctions, so "rates were cut in March 2025, and
+// another cut is expected in July 2025" dates one past and one expected event. Plain commas do not
+// break ("On June 20, 2025, the Fed cut rates"); "and" only does before an auxiliary verb.
+const CLAUSE_BREAK = /\s*(?:;|\s[—–]\s|,\s*(?=(?:and|but|so|yet|while|whereas|although|though)\b)|\s+(?=(?:but|while|whereas|although|though)\b)|\s+(?=and\s+(?:will|would|is|are|was|were|has|have|had|could|may|might|should)\b))\s*/gi
+
+// The clause of the sentence containing the character at index, and where it starts
+const clauseAt = (sentence, index) => {
+    let start = 0
+    for (const m of sentence.matchAll(CLAUSE_BREAK)) {
+        if (m.index > index) return { start, text: sentence.slice(start, m.index) }
+        start = m.index + m[0].length
+    }
+    return { start, text: sentence.slice(start) }
+}
+
+const isReported = (sentence, index) => {
+    const clause = clauseAt(sentence, index)
+    return PAST.test(clause.text) && !SCHEDULED.test(clause.text) && !DEADLINE.test(sentence.slice(clause.start, index))
+}
+
+// [{ sentence, clause, text, date, precision, reported }] for every explicit date in the text
+export const extractDatedEvents = (text) => {
+    const events = []
+    for (const sentence of splitSentences(text)) {
+        let masked = sentence
+        for (const { precision, pattern, toDate } of DATE_PATTERNS) {
+            for (const m of masked.matchAll(pattern)) {
+                const date = toDate(m)
+                if (Number.isNaN(Date.parse(date))) continue
+                const clause = clauseAt(sentence, m.index).text
+                events.push({ sentence, clause, text: m[0], date, precision, reported: isReported(sentence, m.index) })
+                masked = masked.slice(0, m.index) + ' '.repeat(m[0].length) + masked.slice(m.index + m[0].length)
+            }
+        }
+    }
+    return events
+}
+
+// =============================================================================
+// OUTCOME ASSERTIONS
+// =============================================================================
+
+const STOPWORDS = new Set(['will', 'what', 'when', 'which', 'with', 'from', 'than', 'that', 'this', 'there', 'their', 'before', 'after', 'more', 'less', 'least', 'most', 'over', 'under', 'have', 'been', 'does', 'into', 'between', 'about', 'other', 'according'])
+
+const keywords = (text) => new Set((text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(w => w.length > 3 && !STOPWORDS.has(w)))
+
+const RESOLUTION_STATEMENT = /\b(resolv(ed|es)\s+(as\s+)?(yes|no)|question\s+(has\s+)?resolved)\b/i
+const COMPLETED_OUTCOME = /\b(has won|won the|was elected|were elected|has been elected|was appointed|has been appointed|was confirmed as|has been confirmed as|final (results?|tally|count)|official (results?|tally)|closed (the (quarter|year|month) )?at|ended (the (quarter|year|month) )?at)\b/i
+const MIN_TITLE_OVERLAP = 0.5 // share of the title's keywords the sentence must mention
+const HISTORY = /\b(historically|previously|traditionally)\b/i
+
+// [{ sentence, reason }]: explicit resolution statements, and completed outcomes described in
+// the question's own terms
+export const findOutcomeStatements = (text, question) => {
+    const titleWords = keywords(question.questionTitle || '')
+    const statements = []
+    for (const sentence of splitSentences(text)) {
+        if (RESOLUTION_STATEMENT.test(sentence)) {
+            statements.push({ sentence, reason: 'states the resolution' })
+            continue
+        }
+        if (!COMPLETED_OUTCOME.test(sentence) || titleWords.size === 0) continue
+        // "having won the 2020 election" or "historically, the party has won" is history, not the outcome
+        if (HISTORY.test(sentence)) continue
+        const years = (sentence.match(/\b(19|20)\d{2}\b/g) || []).map(Number)
+        if (years.length > 0 && years.every(y => y < Number(question.date.slice(0, 4)))) continue
+        const sentenceWords = keywords(sentence)
+        const overlap = [...titleWords].filter(w => sentenceWords.has(w)).length / titleWords.size
+        if (overlap >= MIN_TITLE_OVERLAP) {
+            statements.push({ sentence, reason: `completed outcome on ${Math.round(overlap * 100)}% of the title's terms` })
+        }
+    }
+    return statements
+}
+
+// =============================================================================
+// PER QUESTION
+// =============================================================================
+
+// Units are 1-based; events after the forecast date count only if reported as past
+export const auditQuestion = (question) => {
+    const lateEvents = []
+    const outcomeStatements = []
+    question.informationPackages.map(unitText).forEach((text, i) => {
+        for (const event of extractDatedEvents(text)) {
+            if (event.date > question.date) lateEvents.push({ unit: i + 1, ...event })
+        }
+        for (const statement of findOutcomeStatements(text, question)) {
+            outcomeStatements.push({ unit: i + 1, ...statement })
+        }
+    })
+
+    const flaggedEvents = lateEvents.filter(e => e.reported)
+    return {
+        questionId: question.id,
+        date: question.date,
+        heuristicFlagged: flaggedEvents.length > 0 || outcomeStatements.length > 0,
+        lateEvents,
+        outcomeStatements,
+    }
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+// The last audit's report, or null if none was written
+export const loadLeakageReport = () => {
+    if (!fs.existsSync(LEAKAGE_REPORT_PATH)) return null
+    return JSON.parse(fs.readFileSync(LEAKAGE_REPORT_PATH, 'utf8'))
+}
+
+// Ids of questions the last audit flagged (by the judge if it ran, otherwise by the heuristics)
+export const loadFlaggedQuestions = () => {
+    const report = loadLeakageReport()
+    if (!report) throw new Error(`Leakage report not found: ${LEAKAGE_REPORT_PATH}. Run: node src/leakage-audit.js`)
+    return new Set(report.questions.filter(q => q.flagged).map(q => q.questionId))
+}
+
+// The questions the last audit did not flag, logging how many were skipped (--exclude-flagged)
+export const excludeFlagged = (questions) => {
+    const flagged = loadFlaggedQuestions()
+    const kept = questions.filter(q => !flagged.has(q.id))
+    console.log(`EXCLUDE FLAGGED: skipping ${questions.length - kept.length} question(s) flagged by the leakage audit`)
+    return kept
+}
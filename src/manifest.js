@@ -0,0 +1,181 @@
+import fs from 'fs'
+import { createHash } from 'crypto'
+import { getArgValue } from './cliUtils.js'
+import { createRng, hashSeed, shuffle } from './random.js'
+
+// Randomization manifest: the persisted assignment question → condition → members
+// [{ position, model, infoLabel, instance, turn }], turn being the speaking turn of
+// conditions with sequential ordering. It is generated once per experiment by
+// build-manifest.js and read by every stage, so re-ordering or filtering the question file
+// cannot change group compositions between stages.
+
+export const manifestPath = (experiment) => getArgValue('--manifest', `data/manifests/${experiment.name}.json`)
+
+// Only the parts of the design that determine assignments
+export const hashExperiment = (experiment) => {
+    const design = {
+        seed: experiment.seed,
+        conditions: Object.fromEntries(Object.entries(experiment.conditions).map(([name, c]) => [
+            name,
+            { models: c.models, infoLabels: c.infoLabels, instances: c.instances, randomize: c.randomize, ordering: c.ordering },
+        ])),
+    }
+    return createHash('sha256').update(JSON.stringify(design)).digest('hex')
+}
+
+// =============================================================================
+// LEGACY RANDOMIZATION (original aibq2 run)
+// =============================================================================
+
+// Math.sin shuffle seeded by question id, and rotation by position in questions.json.
+// Only used to reproduce the assignments of the published forecasts.
+const LEGACY_SEED_OFFSETS = { infoLabels: 0, models: 1, speakingOrder: 2 }
+
+const legacySeededRandom = (seed) => {
+    const x = Math.sin(seed * 9999) * 10000
+    return x - Math.floor(x)
+}
+
+const legacySeededShuffle = (array, seed) => {
+    const result = [...array]
+    let m = result.length
+    while (m) {
+        const i = Math.floor(legacySeededRandom(seed + m) * m--)
+        ;[result[m], result[i]] = [result[i], result[m]]
+    }
+    return result
+}
+
+const legacyRandomizer = (questions) => {
+    const questionIndex = new Map(questions.map((q, i) => [q.id, i]))
+    return {
+        shuffle: (list, questionId, condition, factor) => legacySeededShuffle(list, questionId + LEGACY_SEED_OFFSETS[factor]),
+        rotationIndex: (questionId) => questionIndex.get(questionId),
+    }
+}
+
+// =============================================================================
+// SEEDED RANDOMIZATION
+// =============================================================================
+
+// Shuffles draw from a generator seeded by (experiment seed, question, condition, factor);
+// rotation ranks questions in a seeded permutation of the sorted ids so models stay balanced.
+const seededRandomizer = (questions, seed) => {
+    const sortedIds = questions.map(q => q.id).sort((a, b) => a - b)
+    const ranked = shuffle(sortedIds, createRng(hashSeed(seed, 'rotation')))
+    const rank = new Map(ranked.map((id, i) => [id, i]))
+    return {
+        shuffle: (list, questionId, condition, factor) => shuffle(list, createRng(hashSeed(seed, questionId, condition, factor))),
+        rotationIndex: (questionId) => rank.get(questionId),
+    }
+}
+
+// =============================================================================
+// MANIFEST GENERATION
+// =============================================================================
+
+const assignGroup = (condition, conditionName, questionId, randomizer) => {
+    const randomize = condition.randomize || {}
+    const size = condition.infoLabels.length
+
+    const infoLabels = randomize.infoLabels === 'shuffle'
+        ? randomizer.shuffle(condition.infoLabels, questionId, conditionName, 'infoLabels')
+        : condition.infoLabels
+
+    let models = condition.models
+    if (randomize.models === 'rotate') {
+        models = Array(size).fill(condition.models[randomizer.rotationIndex(questionId) % condition.models.length])
+    } else if (randomize.models === 'shuffle') {
+        models = randomizer.shuffle(condition.models, questionId, conditionName, 'models')
+    }
+
+    // Sequential ordering: a random speaking order per question
+    const turns = condition.ordering === 'sequential'
+        ? randomizer.shuffle(infoLabels.map((_, i) => i + 1), questionId, conditionName, 'speakingOrder')
+        : null
+
+    return infoLabels.map((infoLabel, i) => ({
+        position: i + 1,
+        model: models[i],
+        infoLabel,
+        ...(condition.instances ? { instance: condition.instances[i] } : {}),
+        ...(turns ? { turn: turns[i] } : {}),
+    }))
+}
+
+export const buildManifest = (experiment, questions, { legacy = false } = {}) => {
+    if (!legacy && experiment.seed === undefined) throw new Error('Experiment must define a seed')
+    const randomizer = legacy ? legacyRandomizer(questions) : seededRandomizer(questions, experiment.seed)
+
+    const assignments = {}
+    for (const question of questions) {
+        assignments[question.id] = {}
+        for (const [conditionName, condition] of Object.entries(experiment.conditions)) {
+            assignments[question.id][conditionName] = assignGroup(condition, conditionName, question.id, randomizer)
+        }
+    }
+
+    return {
+        experiment: experiment.name,
+        experimentHash: hashExperiment(experiment),
+        method: legacy ? 'legacy-sin-shuffle' : 'mulberry32-sha256',
+        seed: legacy ? null : experiment.seed,
+        createdAt: new Date().toISOString(),
+        questionIds: questions.map(q => q.id).sort((a, b) => a - b),
+        assignments,
+    }
+}
+
+// =============================================================================
+// LOADING AND VALIDATION
+// =============================================================================
+
+// Refuses to run when the manifest was built for another design or question set
+export const loadManifest = (experiment, questions) => {
+    const path = manifestPath(experiment)
+    if (!fs.existsSync(path)) {
+        throw new Error(`Randomization manifest not found: ${path}. Run: node src/build-manifest.js`)
+    }
+    const manifest = JSON.parse(fs.readFileSync(path, 'utf8'))
+
+    if (manifest.experiment !== experiment.name || manifest.experimentHash !== hashExperiment(experiment)) {
+        throw new Error(`Manifest ${path} was built for a different experiment design. Rebuild it or restore the design file.`)
+    }
+
+    const manifestIds = new Set(manifest.questionIds)
+    const questionIds = new Set(questions.map(q => q.id))
+    const missing = [...questionIds].filter(id => !manifestIds.has(id))
+    const extra = [...manifestIds].filter(id => !questionIds.has(id))
+    if (missing.length > 0 || extra.length > 0) {
+        throw new Error(`Manifest ${path} disagrees with the question set: ${missing.length} question(s) not in manifest (${missing.slice(0, 5).join(', ')}), ${extra.length} manifest question(s) missing (${extra.slice(0, 5).join(', ')})`)
+    }
+
+    return manifest
+}
+
+export const getGroupComposition = (manifest, condition, questionId) => {
+    const members = manifest.assignments[questionId]?.[condition]
+    if (!members) throw new Error(`No assignment for question ${questionId}, condition ${condition}`)
+    return members
+}
+
+// Speaking turn per position of a sequential group, null if the group speaks simultaneously
+export const getTurns = (members) => members.every(m => m.turn) ? members.map(m => m.turn) : null
+
+// Union of all group members across conditions: the independent forecasts a question needs
+export const getRequiredForecasts = (manifest, questionId) => {
+    const required = []
+    const seen = new Set()
+
+    for (const members of Object.values(manifest.assignments[questionId] || {})) {
+        for (const { model, infoLabel, instance = null } of members) {
+            const key = `${model}-${infoLabel}-${instance || ''}`
+            if (!seen.has(key)) {
+                seen.add(key)
+                required.push({ model, infoLabel, instance })
+            }
+        }
+    }
+
+    return required
+}
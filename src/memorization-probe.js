@@ -0,0 +1,236 @@
+import fs from 'fs'
+import path from 'path'
+import { generateObject } from 'ai'
+import { getOpenModel, getModelConfig, getModelAliases, getProviderOptions } from './agentUtils.js'
+import { computeCacheKey, getCacheStatus } from './response-cache.js'
+import { createBudget, formatBudget } from './costs.js'
+import { createScheduler } from './scheduler.js'
+import { openJournal, getUnfinishedJobs } from './journal.js'
+import { getListArg, getNumberArg, hasFlag } from './cliUtils.js'
+import { getQuestionType, isContinuous, isMultipleChoice, describeAnswerSpace, parseResolution } from './question-types.js'
+import { MEMORIZATION_DIR } from './datasetUtils.js'
+import { z } from 'zod'
+
+// Memorization probe: asks each model, without the question's date, background or information
+// packages, whether it knows how the question resolved and when. Each (model, question) pair is
+// classified as knows_outcome, misremembered, uncertain or unaware and saved to
+// data/memorization-probes/{questionId}-{model}.json; build-analysis-dataset.js writes
+// contamination.csv from these files.
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const TEST_MODE = hasFlag('--test')
+const RETRY_FAILED = hasFlag('--retry-failed') // only jobs the journal lists as failed or interrupted
+const MODELS = getListArg('--probe-models', getModelAliases()) // default: every registered model
+const KNOWS_THRESHOLD = getNumberArg('--knows-threshold', 80) // confidence (0-100) from which a recalled outcome counts as known
+const RECALL_TOLERANCE = getNumberArg('--recall-tolerance', 0.05) // numeric and date recalls count as correct within this share of the range
+const budget = createBudget() // --max-usd
+const scheduler = createScheduler() // per-provider limits from config/models.json
+const journal = openJournal('memorization') // job id: probe id
+
+const CLASSIFICATIONS = ['knows_outcome', 'misremembered', 'uncertain', 'unaware']
+
+const memorizationProbeId = (questionId, model) => `${questionId}-${model}`
+const probePath = (id) => path.join(MEMORIZATION_DIR, `${id}.json`)
+
+// =============================================================================
+// PROBE
+// =============================================================================
+
+const generatePrompt = (question) => {
+    const binary = getQuestionType(question) === 'binary'
+    return `The following forecasting question was asked on Metaculus:
+
+${question.questionTitle}
+
+Resolution criteria:
+${question.questionResolutionCriteria}
+${binary ? '' : `\n${describeAnswerSpace(question)}\n`}
+Do not forecast. Answer only from what you remember: do you know how this question resolved?
+(a) Whether you have any knowledge of the outcome.
+(b) The outcome as you remember it (${binary ? '"Yes" or "No"' : 'the value, date or option'}), or "unknown".
+(c) When you believe the deciding event happened (YYYY-MM-DD, as precise as you remember), or "unknown".
+(d) How confident you are that the outcome you remember is correct, from 0 to 100.`
+}
+
+const PROBE_SCHEMA = z.object({
+    knows_outcome: z.boolean().describe('Whether you have any knowledge of how the question resolved'),
+    resolution: z.string().describe('The outcome as you remember it, or "unknown"'),
+    event_date: z.string().describe('When the deciding event happened (YYYY-MM-DD), or "unknown"'),
+    confidence: z.number().describe('Confidence that the remembered outcome is correct. Minimum 0, maximum 100.'),
+})
+
+const isUnknown = (value) => !value || /^\s*(unknown|n\/?a|none)?\s*$/i.test(value)
+
+// The remembered outcome on the resolution's scale (see parseResolution): 1/0 from "Yes"/"No", the
+// one option the answer names, or the first number or date in it; null if it cannot be read
+const parseRecalled = (question, recalled) => {
+    const text = recalled.trim()
+    if (isMultipleChoice(question)) {
+        const named = question.options.filter(option => text.toLowerCase().includes(option.toLowerCase()))
+        return named.length === 1 ? named[0] : null
+    }
+    if (!isContinuous(question)) {
+        const answer = text.match(/^(yes|no)\b/i)
+        return answer ? Number(answer[1].toLowerCase() === 'yes') : null
+    }
+    if (getQuestionType(question) === 'date') {
+        const date = Date.parse(text.match(/\d{4}-\d{2}-\d{2}/)?.[0] ?? text)
+        return Number.isNaN(date) ? null : date / 1000
+    }
+    const number = text.match(/-?\d[\d,]*(\.\d+)?/)
+    return number ? Number(number[0].replace(/,/g, '')) : null
+}
+
+// Whether the remembered outcome matches the resolution: the same answer or option, or for numeric
+// and date questions a value within RECALL_TOLERANCE of the range's width (values out of bounds are
+// placed at the bound, like the resolution); null if unresolved or unreadable
+const recalledCorrectly = (question, { resolution }) => {
+    const actual = parseResolution(question)
+    const recalled = parseRecalled(question, resolution)
+    if (actual === null || recalled === null) return null
+    if (!isContinuous(question)) return recalled === actual
+    const { min, max } = question.range
+    return Math.abs(Math.min(max, Math.max(min, recalled)) - actual) <= RECALL_TOLERANCE * (max - min)
+}
+
+// knows_outcome: the correct outcome recalled with confidence of at least KNOWS_THRESHOLD;
+// misremembered: a wrong outcome recalled as confidently; uncertain: an outcome recalled with less
+// confidence, or one that cannot be compared with the resolution; unaware: no outcome recalled
+const classify = (question, answer) => {
+    if (!answer.knows_outcome || isUnknown(answer.resolution)) return 'unaware'
+    if (answer.confidence < KNOWS_THRESHOLD) return 'uncertain'
+    const correct = recalledCorrectly(question, answer)
+    if (correct === null) return 'uncertain'
+    return correct ? 'knows_outcome' : 'misremembered'
+}
+
+// Derived from the stored answer, so cached probes are reclassified without a new call
+const classifyAnswer = (question, answer) => ({
+    classification: classify(question, answer),
+    recalledCorrectly: recalledCorrectly(question, answer),
+    knowsThreshold: KNOWS_THRESHOLD,
+    recallTolerance: RECALL_TOLERANCE,
+})
+
+const buildProbeRequest = (question, model) => {
+    const request = {
+        schema: PROBE_SCHEMA,
+        prompt: generatePrompt(question),
+        maxOutputTokens: 5_000,
+        providerOptions: getProviderOptions(model),
+    }
+    return { probeId: memorizationProbeId(question.id, model), request, cacheKey: computeCacheKey(model, request) }
+}
+
+const memorizationProbe = async (question, model) => {
+    const { probeId, request, cacheKey } = buildProbeRequest(question, model)
+    const result = await generateObject({
+        model: getOpenModel(model, { replayKey: probeId }),
+        ...request,
+        maxRetries: 0, // retried by the scheduler
+    })
+    return {
+        probeId,
+        questionId: question.id,
+        model,
+        answer: result.object,
+        ...classifyAnswer(question, result.object),
+        usage: result.usage,
+        prompt: request.prompt,
+        cacheKey,
+    }
+}
+
+const runProbe = async (question, model) => {
+    const { probeId, request, cacheKey } = buildProbeRequest(question, model)
+    const outputFile = probePath(probeId)
+
+    const cacheStatus = getCacheStatus(outputFile, cacheKey)
+    if (cacheStatus === 'fresh' || cacheStatus === 'legacy') {
+        const stored = JSON.parse(fs.readFileSync(outputFile, 'utf8'))
+        const reclassified = { ...stored, ...classifyAnswer(question, stored.answer) }
+        if (JSON.stringify(reclassified) !== JSON.stringify(stored)) {
+            fs.writeFileSync(outputFile, JSON.stringify(reclassified, null, 2))
+        }
+        return { status: 'cached', probeId }
+    }
+
+    journal.queued(probeId)
+    try {
+        const result = await scheduler.run(model, (attempt) => budget.run(model, request, () => {
+            journal.running(probeId, attempt)
+            return memorizationProbe(question, model)
+        }), { label: probeId })
+
+        if (!result) {
+            return { status: 'over_budget', probeId }
+        }
+
+        fs.writeFileSync(outputFile, JSON.stringify(result, null, 2))
+        journal.succeeded(probeId)
+
+        return { status: 'success', probeId, classification: result.classification }
+    } catch (error) {
+        journal.failed(probeId, error)
+        return { status: 'error', probeId, kind: error.kind, attempts: error.attempts, error: error.message }
+    }
+}
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+const main = async () => {
+    MODELS.forEach(getModelConfig) // fail early on an unknown alias
+
+    let questions = JSON.parse(fs.readFileSync('data/processed/questions.json', 'utf8'))
+
+    if (TEST_MODE) {
+        questions = questions.slice(0, 2)
+        console.log('TEST MODE: Running on first 2 questions')
+    }
+
+    let jobs = questions.flatMap(question => MODELS.map(model => ({ question, model })))
+    if (RETRY_FAILED) {
+        const unfinished = getUnfinishedJobs('memorization')
+        jobs = jobs.filter(({ question, model }) => unfinished.has(memorizationProbeId(question.id, model)))
+        console.log(`RETRY FAILED: ${jobs.length} failed or interrupted job(s)`)
+    }
+
+    console.log(`Probing ${questions.length} questions with ${MODELS.length} model(s): ${MODELS.join(', ')}`)
+    console.log(`Budget: ${budget.maxUsd === null ? 'no cap' : `$${budget.maxUsd.toFixed(2)}`}`)
+
+    fs.mkdirSync(MEMORIZATION_DIR, { recursive: true })
+
+    const results = await Promise.all(jobs.map(({ question, model }) => runProbe(question, model)))
+    const failures = results.filter(r => r.status === 'error')
+    failures.forEach(r => {
+        console.log(`    ✗ ${r.probeId}: ${r.kind} after ${r.attempts} attempt(s): ${r.error}`)
+    })
+
+    const count = (status) => results.filter(r => r.status === status).length
+
+    console.log(`\n${'='.repeat(60)}`)
+    if (failures.length > 0) {
+        console.log(`⚠️  COMPLETED WITH FAILURES`)
+    } else if (budget.exhausted) {
+        console.log(`⚠️  STOPPED AT BUDGET`)
+    } else {
+        console.log(`✅ DONE!`)
+    }
+    console.log(`  Completed: ${count('success')} (${CLASSIFICATIONS.map(c => `${c}: ${results.filter(r => r.classification === c).length}`).join(', ')})`)
+    console.log(`  Cached: ${count('cached')}`)
+    console.log(`  Over budget: ${count('over_budget')}`)
+    console.log(`  Persistent failures: ${failures.length}`)
+    for (const [provider, reason] of Object.entries(scheduler.disabledProviders())) {
+        console.log(`  Disabled provider ${provider}: ${reason}`)
+    }
+    console.log(`  Spent: ${formatBudget(budget)}`)
+
+    if (failures.length > 0 || budget.exhausted) process.exit(1)
+}
+
+main().catch(console.error)
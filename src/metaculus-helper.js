@@ -1,119 +1,180 @@
 // METACULUS API: https://www.metaculus.com/api/
 // requests are throttled to 1000 requests per hour
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import dotenv from 'dotenv';
+dotenv.config();
 
-const BASE_URL = 'https://www.metaculus.com/api/';
+const DEFAULT_BASE_URL = 'https://www.metaculus.com/api/';
+const HOUR_MS = 3_600_000;
 // const TOURNAMENT_ID = 'aibq2' // aibq2 AI forecasting bot tournament Q2 2025
 
-export async function getPostsByTournamentId(tournamentId) {
-    const POSTS_URL = BASE_URL + 'posts/';
-    const MAX_POSTS = 1_000;
-    const LIMIT = 100;
-    let offset = 0;
-    let hasNext = true;
-    let errorCount = 0;
-    let posts = [];
-
-    while (offset < MAX_POSTS && hasNext && errorCount < 3) {
-        process.stdout.write(`\rFetching posts ${offset} to ${offset + LIMIT}...`);
-        const QUERY_PARAMS = `?tournaments=${tournamentId}&statuses=resolved&forecast_type=binary&limit=${LIMIT}&offset=${offset}&order_by=-published_at`;
-        const URL = POSTS_URL + QUERY_PARAMS;
-        const response = await fetch(URL);
-        if (!response.ok) {
-            if (response.status === 429) {
-                errorCount++;
-                console.error('Rate limit exceeded, waiting 5 second...');
-                await new Promise(resolve => setTimeout(resolve, 5_000));
-                continue; // retry the request
-            } else {
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After in seconds or as an HTTP date, in milliseconds
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Metaculus API client. The base URL and token default to METACULUS_API_URL and METACULUS_TOKEN,
+// so the client can be pointed at a local stub server. Requests stay within the hourly budget,
+// 429 and 5xx responses are retried (honoring Retry-After), and raw responses can be cached on
+// disk with cacheDir (cached pages are never refetched, so leave it off for incremental scrapes).
+export class MetaculusClient {
+
+    constructor({
+        baseUrl = process.env.METACULUS_API_URL || DEFAULT_BASE_URL,
+        token = process.env.METACULUS_TOKEN,
+        requestsPerHour = 1000,
+        maxRetries = 5,
+        cacheDir = null,
+        fetchImpl = globalThis.fetch,
+    } = {}) {
+        this.baseUrl = baseUrl.endsWith('/') ? baseUrl : baseUrl + '/';
+        this.token = token;
+        this.requestsPerHour = requestsPerHour;
+        this.maxRetries = maxRetries;
+        this.cacheDir = cacheDir;
+        this.fetch = fetchImpl;
+        this.requestTimes = []; // of requests in the last hour
+    }
+
+    url(endpoint, params = {}) {
+        const url = new URL(endpoint, this.baseUrl);
+        for (const [key, value] of Object.entries(params)) {
+            if (value === undefined || value === null) continue;
+            for (const v of [].concat(value)) url.searchParams.append(key, v);
+        }
+        return url.toString();
+    }
+
+    // Waits until another request fits into the hourly budget
+    async throttle() {
+        const now = Date.now();
+        this.requestTimes = this.requestTimes.filter(t => now - t < HOUR_MS);
+        if (this.requestTimes.length >= this.requestsPerHour) {
+            const wait = this.requestTimes[0] + HOUR_MS - now;
+            console.error(`\nHourly request budget (${this.requestsPerHour}) used up, waiting ${Math.ceil(wait / 1000)}s...`);
+            await sleep(wait);
+            return this.throttle();
+        }
+        this.requestTimes.push(now);
+    }
+
+    cachePath(url) {
+        return path.join(this.cacheDir, createHash('sha256').update(url).digest('hex') + '.json');
+    }
+
+    async get(endpoint, params = {}) {
+        const url = this.url(endpoint, params);
+
+        if (this.cacheDir && fs.existsSync(this.cachePath(url))) {
+            return JSON.parse(fs.readFileSync(this.cachePath(url), 'utf8')).body;
+        }
+
+        const headers = { Accept: 'application/json' };
+        if (this.token) headers.Authorization = `Token ${this.token}`;
+
+        for (let attempt = 0; ; attempt++) {
+            await this.throttle();
+            const response = await this.fetch(url, { headers });
+
+            if (response.ok) {
+                const body = await response.json();
+                if (this.cacheDir) {
+                    fs.mkdirSync(this.cacheDir, { recursive: true });
+                    fs.writeFileSync(this.cachePath(url), JSON.stringify({ url, fetchedAt: new Date().toISOString(), body }));
+                }
+                return body;
+            }
+
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= this.maxRetries) {
                 console.error(`HTTP error! status: ${response.status}`);
                 console.error('Response text:', await response.text());
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw new Error(`HTTP error! status: ${response.status} (${url})`);
             }
+
+            const wait = parseRetryAfter(response.headers.get('retry-after')) ?? 5_000 * 2 ** attempt;
+            console.error(`\n${response.status === 429 ? 'Rate limit exceeded' : `Server error ${response.status}`}, waiting ${Math.ceil(wait / 1000)}s...`);
+            await sleep(wait);
+        }
+    }
+
+    // Yields every result of an offset-paginated endpoint, page by page
+    async *paginate(endpoint, params = {}, { limit = 100, label = endpoint } = {}) {
+        let offset = 0;
+        while (true) {
+            process.stdout.write(`\rFetching ${label} ${offset} to ${offset + limit}...`);
+            const data = await this.get(endpoint, { ...params, limit, offset });
+            const results = data.results || [];
+            yield* results;
+
+            if (!data.next || results.length < limit) break;
+            offset += limit;
         }
-        const data = await response.json();
-        posts.push(...data.results);
-        offset += LIMIT;
-        hasNext = data.next !== null && data.results && data.results.length === LIMIT;
-        if (hasNext) await new Promise(resolve => setTimeout(resolve, 1_000));
     }
-    return posts;
+
+    async collect(endpoint, params, options) {
+        const items = [];
+        for await (const item of this.paginate(endpoint, params, options)) items.push(item);
+        return items;
+    }
+
+    getPosts(params = {}) {
+        return this.collect('posts/', { order_by: '-published_at', ...params }, { label: 'posts' });
+    }
+
+    getComments(params = {}) {
+        return this.collect('comments/', { use_root_comments_pagination: true, ...params }, { label: 'comments' });
+    }
+}
+
+let defaultClient = null;
+export const getDefaultClient = () => defaultClient || (defaultClient = new MetaculusClient());
+
+
+export async function getPostsByTournamentId(tournamentId, { statuses = 'resolved', forecastType = 'binary', client = getDefaultClient() } = {}) {
+    return client.getPosts({ tournaments: tournamentId, statuses, forecast_type: forecastType });
 }
 // getPostsByTournamentId(TOURNAMENT_ID).then(posts => console.log(posts));
 
-export async function getCommentsByAuthorId(authorId, postId = undefined, filterPostIds = []) {
+// The forecast a comment was posted with; start_time is unix seconds or an ISO date
+const toIncludedForecast = (forecast) => ({
+    startTime: typeof forecast.start_time === 'number' ? new Date(forecast.start_time * 1000).toISOString() : forecast.start_time,
+    probabilityYes: forecast.probability_yes ?? null,
+    probabilityYesPerCategory: forecast.probability_yes_per_category ?? null,
+    forecastValues: forecast.forecast_values ?? null,
+});
+
+export async function getCommentsByAuthorId(authorId, postId = undefined, filterPostIds = [], { client = getDefaultClient() } = {}) {
 
     if (filterPostIds && filterPostIds.length > 0 && postId && !filterPostIds.includes(postId)) {
         throw new Error(`If you use postId, it must be in filterPostIds`);
     }
-    const COMMENTS_URL = BASE_URL + 'comments/';
-    const MAX_COMMENTS = 10_000;
-    const LIMIT = 100;
-    let offset = 0;
-    let hasNext = true;
-    let allResults = [];
-
-    while (offset < MAX_COMMENTS && hasNext) {
-        process.stdout.write(`\rFetching comments ${offset} to ${offset + LIMIT}...`);
-        const URL = COMMENTS_URL + `?author=${authorId}` + (postId ? `&post=${postId}` : '') + `&use_root_comments_pagination=true&limit=${LIMIT}&offset=${offset}`;
-        const response = await fetch(URL);
-        if (!response.ok) {
-            if (response.status === 429) {
-                errorCount++;
-                console.error('Rate limit exceeded, waiting 5 second...');
-                await new Promise(resolve => setTimeout(resolve, 5_000));
-                continue; // retry the request
-            } else {
-                console.error(`HTTP error! status: ${response.status}`);
-                console.error('Response text:', await response.text());
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-        }
-        const data = await response.json();
-        if (offset === 0) {
-            console.log("total comments:", data.total_count);
-        }
-        const results = data.results;
-        if (results && results.length > 0) {
-            allResults.push(...results);
-        }
-        hasNext = data.next !== null && results && results.length >= LIMIT;
-        offset += LIMIT;
-        if (hasNext) await new Promise(resolve => setTimeout(resolve, 2_000));
-    }
 
+    let allResults = await client.getComments({ author: authorId, post: postId });
 
     allResults = allResults.filter(result => result.text !== null && result.text !== '' && result.text.length > 0 && result.included_forecast && result.included_forecast.start_time);
 
-    if (filterPostIds.length > 0) {
-        let filteredResults = [];
-        filterPostIds.forEach(postId => {
-            let _comments = allResults.filter(result => result.on_post === postId || result.on_post_data?.id === postId);
-            let _out = {
-                postId: postId,
-                authorId: authorId,
-                text: _comments.map(result => result.text).join('\n'),
-            }
-            filteredResults.push(_out);
-        });
-        return filteredResults;
-    }
+    const postIds = filterPostIds.length > 0
+        ? filterPostIds
+        : [...new Set(allResults.map(result => result.on_post || result.on_post_data?.id))];
 
-    const uniqueIds = [...new Set(allResults.map(result => result.on_post || result.on_post_data?.id))];
-    let filteredResults = [];
-    uniqueIds.forEach(postId => {
+    return postIds.map(postId => {
         let _comments = allResults.filter(result => result.on_post === postId || result.on_post_data?.id === postId);
-        let _out = {
+        return {
             postId: postId,
             authorId: authorId,
             text: _comments.map(result => result.text).join('\n'),
-        }
-        filteredResults.push(_out);
+            comments: _comments.map(result => ({ id: result.id, createdAt: result.created_at, text: result.text, includedForecast: toIncludedForecast(result.included_forecast) })),
+        };
     });
-    return filteredResults;
 }
 // sample POST id: 38543
 // getCommentsByAuthorId(191026, 38543).then(comments => console.log(comments));
-
-
-
-
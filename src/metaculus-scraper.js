@@ -1,63 +1,207 @@
 import fs from 'fs';
-import { getPostsByTournamentId, getCommentsByAuthorId } from './metaculus-helper.js';
-fs.mkdirSync('data/raw', { recursive: true });
-
-// SCRAPE AI FORECASTING BOT TOURNAMENT Q2 2025 - BINARY QUESTIONS ONLY
-const TOURNAMENT_ID = 'aibq2'
-
-// 1. get all posts in tournament
-const posts = posts = await getPostsByTournamentId(TOURNAMENT_ID);
-
-
-// 2. get comments from top 4 AI bots in tournament
-const AUTHORS = [
-    191026, // mantic AI
-    191935, // pgodzinai
-    188389, // Panshul42
-    269787, // metac-o3-high+asknews
-]
-// ids of all posts in tournament (api doesn't support filtering by tournament)
-const postIds = posts.map(post => post.id);
-
-
-let allComments = [];
-for (const authorId of AUTHORS) {
-
-    let comments = [];
-    if (fs.existsSync(`data/raw/comments_${authorId}.json`)) {
-        comments = JSON.parse(fs.readFileSync(`data/raw/comments_${authorId}.json`, 'utf8'));
-        console.log(`Loaded ${comments.length} comments for author ${authorId} from file.`);
-    } else {
-        comments = await getCommentsByAuthorId(authorId, undefined, postIds);
-        console.log(`Fetched ${comments.length} comments for author ${authorId}.`);
-        // write comments to file
-        fs.writeFileSync(`data/raw/comments_${authorId}.json`, JSON.stringify(comments, null, 2));
+import path from 'path';
+import { MetaculusClient, getPostsByTournamentId, getCommentsByAuthorId } from './metaculus-helper.js';
+import { getArgValue, getListArg, hasFlag } from './cliUtils.js';
+import { BOT_AUTHORS } from './information-units.js';
+
+// SCRAPE METACULUS TOURNAMENT QUESTIONS AND THE BOT COMMENTS POSTED ON THEM
+//
+// node src/metaculus-scraper.js --tournament aibq2,aibq3 --authors 191026,191935
+//     --status resolved --forecast-type binary [--incremental] [--cache-dir data/raw/.http-cache]
+//
+// Per tournament, raw posts and comments are kept in data/raw/{tournament}/; the questions of all
+// scraped tournaments are merged into data/raw/questions.json, each tagged with its tournament.
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const TOURNAMENTS = getListArg('--tournament', ['aibq2']); // aibq2: AI forecasting bot tournament Q2 2025
+const AUTHORS = getListArg('--authors', BOT_AUTHORS.map(a => String(a.id))).map(Number); // mantic, pgodzinai, Panshul42, metac-o3
+const STATUSES = getListArg('--status', ['resolved']);
+const FORECAST_TYPES = getListArg('--forecast-type', ['binary']);
+// Only fetch comments of posts not scraped before, or still open at the last scrape (bots can
+// have commented since); the post listing is always re-read, since older posts can resolve
+// after the last scrape
+const INCREMENTAL = hasFlag('--incremental');
+const RAW_DIR = 'data/raw';
+const LEGACY_TOURNAMENT = 'aibq2'; // questions scraped before outputs were tagged
+const OUTPUT_PATH = path.join(RAW_DIR, 'questions.json');
+
+const client = new MetaculusClient({
+    baseUrl: getArgValue('--base-url') || undefined,
+    cacheDir: getArgValue('--cache-dir'), // raw HTTP responses, off by default
+});
+
+const readJson = (file, fallback) => fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+const writeJson = (file, data) => fs.writeFileSync(file, JSON.stringify(data, null, 2));
+
+// =============================================================================
+// SCRAPING
+// =============================================================================
+
+// New comments (and forecasts) can only be posted while the question is open
+const isOpen = (post) => !['closed', 'resolved'].includes(post.status ?? post.question?.status);
+
+// 1. all posts in the tournament matching the status and forecast-type filters
+const scrapePosts = async (tournamentDir, tournamentId) => {
+    const postsFile = path.join(tournamentDir, 'posts.json');
+    const known = new Map(readJson(postsFile, []).map(post => [post.id, post]));
+
+    const posts = await getPostsByTournamentId(tournamentId, { statuses: STATUSES, forecastType: FORECAST_TYPES, client });
+    const newPostIds = posts.filter(post => !known.has(post.id)).map(post => post.id);
+    const stillOpenPostIds = posts.filter(post => known.has(post.id) && isOpen(known.get(post.id))).map(post => post.id);
+    console.log(`\n${tournamentId}: ${posts.length} posts (${newPostIds.length} new, ${stillOpenPostIds.length} open at the last scrape)`);
+
+    writeJson(postsFile, posts);
+    return { posts, refetchPostIds: [...newPostIds, ...stillOpenPostIds] };
+};
+
+// 2. comments of each bot author on those posts (the API doesn't support filtering by tournament)
+const scrapeComments = async (tournamentDir, posts, refetchPostIds) => {
+    const postIds = posts.map(post => post.id);
+    const allComments = [];
+
+    for (const authorId of AUTHORS) {
+        const commentsFile = path.join(tournamentDir, `comments_${authorId}.json`);
+        let comments;
+
+        if (INCREMENTAL && fs.existsSync(commentsFile)) {
+            comments = readJson(commentsFile, []).filter(comment => postIds.includes(comment.postId) && !refetchPostIds.includes(comment.postId));
+            for (const postId of refetchPostIds) {
+                comments.push(...await getCommentsByAuthorId(authorId, postId, [postId], { client }));
+            }
+            console.log(`\nAuthor ${authorId}: comments on ${comments.length} posts (${refetchPostIds.length} posts fetched)`);
+        } else {
+            comments = await getCommentsByAuthorId(authorId, undefined, postIds, { client });
+            console.log(`\nAuthor ${authorId}: fetched comments on ${comments.length} posts`);
+        }
+
+        writeJson(commentsFile, comments);
+        allComments.push(...comments);
     }
-    allComments.push(...comments);
-}
+    return allComments;
+};
 
+// Range and bounds of numeric/date questions (date ranges in unix seconds), see question-types.js
+const toRange = (question) => {
+    const scaling = question.scaling || {};
+    if (scaling.range_min === undefined || scaling.range_min === null) return undefined;
+    return {
+        min: scaling.range_min,
+        max: scaling.range_max,
+        zeroPoint: scaling.zero_point ?? null, // set for log-scaled questions
+        openLowerBound: question.open_lower_bound,
+        openUpperBound: question.open_upper_bound,
+        unit: question.unit || null,
+    };
+};
 
-const questionsRaw = posts.map(post => {
+const COMMENT_SEPARATOR = '\n============\n';
 
-    const commentsText = allComments.filter(comment => comment.postId === post.id).map(comment => comment.text).join('\n============\n');
+// Where each bot comment sits in the concatenated text: [{ source, authorId, commentId, start, end }]
+// (character offsets). An author's comments on a post are joined by newlines; comments fetched
+// before per-comment records were kept form one span without a comment id.
+const toCommentSources = (postComments) => {
+    const sources = [];
+    let blockStart = 0;
+    for (const comment of postComments) {
+        let start = blockStart;
+        for (const { id, text } of comment.comments || [{ id: null, text: comment.text }]) {
+            sources.push({ source: sources.length + 1, authorId: comment.authorId, commentId: id, start, end: start + text.length });
+            start += text.length + 1;
+        }
+        blockStart += comment.text.length + COMMENT_SEPARATOR.length;
+    }
+    return sources;
+};
+
+// Multiple-choice probabilities per option, given in the options' order or keyed by option;
+// null unless every option has a number
+const toOptionProbabilities = (options = [], values) => {
+    if (!values || typeof values !== 'object') return null;
+    const probabilities = Array.isArray(values)
+        ? (values.length === options.length ? options.map((option, i) => [option, values[i]]) : [])
+        : options.map(option => [option, values[option]]);
+    if (probabilities.length === 0 || probabilities.some(([, p]) => typeof p !== 'number')) return null;
+    return Object.fromEntries(probabilities);
+};
+
+// Each bot's forecast on the question: the latest forecast included with its comments, with
+// the probability in percent (binary) or per option (multiple choice), like the agents' forecasts.
+// Numeric and date forecasts (CDFs) are not kept; every forecast left out is logged.
+const toBotForecast = (post, comment) => {
+    const latest = (comment.comments || [])
+        .filter(c => c.includedForecast)
+        .sort((a, b) => Date.parse(b.includedForecast.startTime) - Date.parse(a.includedForecast.startTime))[0];
+    if (!latest) return null;
+
+    const { startTime, probabilityYes, probabilityYesPerCategory, forecastValues } = latest.includedForecast;
+    const type = post.question.type;
+    let forecast = null;
+    if (type === 'binary') {
+        const p = probabilityYes ?? forecastValues?.[1];
+        if (typeof p === 'number') forecast = { probability: Number((p * 100).toFixed(4)) };
+    } else if (type === 'multiple_choice') {
+        const probabilities = toOptionProbabilities(post.question.options, probabilityYesPerCategory ?? forecastValues);
+        if (probabilities) forecast = { probabilities };
+    }
+    if (!forecast) {
+        const reason = ['binary', 'multiple_choice'].includes(type) ? 'unreadable probabilities' : `${type} forecasts are not kept`;
+        console.log(`⚠️  Skipping forecast of author ${comment.authorId} on post ${post.id} (comment ${latest.id}): ${reason}`);
+        return null;
+    }
+    return { authorId: comment.authorId, commentId: latest.id, time: startTime, forecast };
+};
+
+const toQuestion = (post, allComments, tournamentId) => {
+    const postComments = allComments.filter(comment => comment.postId === post.id && comment.text.length > 0);
+    const commentsText = postComments.map(comment => comment.text).join(COMMENT_SEPARATOR);
 
     return {
         id: post.id,
+        tournament: tournamentId,
         postTitle: post.title,
         questionTitle: post.question.title,
         questionDescription: post.question.description,
         questionFinePrint: post.question.fine_print,
         questionResolutionCriteria: post.question.resolution_criteria,
+        forecastType: post.question.type,
+        range: toRange(post.question),
+        options: post.question.options ?? undefined, // multiple choice; resolution is one of them
         comments: commentsText,
+        commentSources: toCommentSources(postComments),
+        botForecasts: postComments.map(comment => toBotForecast(post, comment)).filter(Boolean),
         resolution: post.question.resolution,
         date: post.published_at?.split('T')[0],
-    }
-}).filter(question => {
-    return question.resolution === 'yes' || question.resolution === 'no' && question.comments.length > 0;
-}).filter(question => {
+    };
+};
+
+// Questions need bot comments to extract information from; annulled/ambiguous ones have no outcome
+const keepQuestion = (question) => {
+    if (question.resolution === 'annulled' || question.resolution === 'ambiguous') return false;
     return question.comments.length > 0;
-});
+};
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+let questionsRaw = readJson(OUTPUT_PATH, []);
 
-console.log(`Questions scraped: ${questionsRaw.length}`);
-fs.writeFileSync('data/raw/questions.json', JSON.stringify(questionsRaw, null, 2));
+for (const tournamentId of TOURNAMENTS) {
+    const tournamentDir = path.join(RAW_DIR, tournamentId);
+    fs.mkdirSync(tournamentDir, { recursive: true });
+
+    const { posts, refetchPostIds } = await scrapePosts(tournamentDir, tournamentId);
+    const allComments = await scrapeComments(tournamentDir, posts, refetchPostIds);
+
+    const questions = posts.map(post => toQuestion(post, allComments, tournamentId)).filter(keepQuestion);
+    console.log(`Questions scraped for ${tournamentId}: ${questions.length}`);
+
+    // Replace this tournament's questions, keep the others
+    questionsRaw = [...questionsRaw.filter(q => (q.tournament || LEGACY_TOURNAMENT) !== tournamentId), ...questions];
+}
 
+console.log(`Questions in ${OUTPUT_PATH}: ${questionsRaw.length}`);
+writeJson(OUTPUT_PATH, questionsRaw);
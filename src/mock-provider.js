@@ -0,0 +1,147 @@
+import fs from 'fs'
+import path from 'path'
+import { createHash } from 'crypto'
+import { createRng, hashSeed, randomInt } from './random.js'
+
+// Offline language models implementing the AI SDK's LanguageModelV2 interface.
+//   replay:    serves recorded outputs from {replayDir}/independent-forecasts, deliberative-forecasts,
+//              facilitated-forecasts and processed/questions.json, looked up by replay key or prompt hash
+//   synthetic: returns seeded random outputs that satisfy the requested JSON schema
+
+export const MOCK_MODES = ['replay', 'synthetic']
+
+const hashText = (text) => createHash('sha256').update(text).digest('hex')
+
+// All text of the prompt's system and user messages, in order
+const promptText = (prompt) => prompt
+    .filter(m => m.role === 'system' || m.role === 'user')
+    .map(m => typeof m.content === 'string' ? m.content : m.content.filter(p => p.type === 'text').map(p => p.text).join(''))
+    .join('\n')
+
+const zeroUsage = { inputTokens: 0, outputTokens: 0, totalTokens: 0 }
+
+const textResult = (object, usage) => ({
+    content: [{ type: 'text', text: JSON.stringify(object) }],
+    finishReason: 'stop',
+    usage: usage || zeroUsage,
+    warnings: [],
+})
+
+// =============================================================================
+// REPLAY
+// =============================================================================
+
+const replayIndexes = new Map() // replayDir -> index
+
+const readJsonFiles = (dir) => {
+    if (!fs.existsSync(dir)) return []
+    return fs.readdirSync(dir)
+        .filter(f => f.endsWith('.json'))
+        .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')))
+}
+
+// Keys: prompt hash and forecast id of independent and facilitated forecasts, "{forecastId}#{round}"
+// of deliberative rounds, probe id of memorization probes, and "information-{questionId}" of
+// processed information packages
+const buildReplayIndex = (replayDir) => {
+    const index = new Map()
+
+    const singleCallDirs = ['independent-forecasts', 'facilitated-forecasts']
+    for (const record of singleCallDirs.flatMap(dir => readJsonFiles(path.join(replayDir, dir)))) {
+        const entry = { object: record.forecast, usage: record.usage }
+        index.set(record.forecastId, entry)
+        if (record.prompt) index.set(hashText(record.prompt), entry)
+    }
+
+    for (const record of readJsonFiles(path.join(replayDir, 'deliberative-forecasts'))) {
+        const rounds = record.rounds || [{ round: 1, forecast: record.forecast, usage: record.usage }]
+        for (const r of rounds) {
+            index.set(`${record.forecastId}#${r.round}`, { object: r.forecast, usage: r.usage })
+        }
+    }
+
+    for (const record of readJsonFiles(path.join(replayDir, 'memorization-probes'))) {
+        index.set(record.probeId, { object: record.answer, usage: record.usage })
+    }
+
+    const processedPath = path.join(replayDir, 'processed', 'questions.json')
+    if (fs.existsSync(processedPath)) {
+        for (const q of JSON.parse(fs.readFileSync(processedPath, 'utf8'))) {
+            // units with provenance are replayed as the model returned them, citing comment numbers
+            const units = q.informationPackages.map(unit => typeof unit === 'string' ? unit : { text: unit.text, comments: unit.sources.map(s => s.source) })
+            index.set(`information-${q.id}`, { object: { information_units: units } })
+        }
+    }
+
+    return index
+}
+
+const replayGenerate = (replayDir, replayKey) => async ({ prompt }) => {
+    if (!replayIndexes.has(replayDir)) replayIndexes.set(replayDir, buildReplayIndex(replayDir))
+    const replayIndex = replayIndexes.get(replayDir)
+
+    const entry = replayIndex.get(replayKey) || replayIndex.get(hashText(promptText(prompt)))
+    if (!entry) throw new Error(`No recorded response for ${replayKey || 'prompt'}`)
+    return textResult(entry.object, entry.usage)
+}
+
+// =============================================================================
+// SYNTHETIC
+// =============================================================================
+
+// Numbers without explicit bounds are drawn from 0-100, the scale of every probability field
+const sampleFromSchema = (schema, rng, key = 'value') => {
+    if (schema.enum) return schema.enum[randomInt(rng, schema.enum.length)]
+    if (schema.anyOf) return sampleFromSchema(schema.anyOf[0], rng, key)
+
+    const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type
+    switch (type) {
+        case 'object':
+            return Object.fromEntries(Object.entries(schema.properties || {}).map(([k, s]) => [k, sampleFromSchema(s, rng, k)]))
+        case 'array': {
+            const min = schema.minItems ?? 3
+            const max = schema.maxItems ?? Math.max(min, 3)
+            const length = min + randomInt(rng, max - min + 1)
+            return Array.from({ length }, (_, i) => sampleFromSchema(schema.items || {}, rng, `${key} ${i + 1}`))
+        }
+        case 'number':
+        case 'integer': {
+            const min = schema.minimum ?? 0
+            const max = schema.maximum ?? 100
+            const value = min + rng() * (max - min)
+            return type === 'integer' ? Math.round(value) : Math.round(value * 10) / 10
+        }
+        case 'boolean':
+            return rng() < 0.5
+        case 'string':
+            if (schema.format === 'date') return new Date(Date.UTC(2025, 0, 1 + randomInt(rng, 365))).toISOString().split('T')[0]
+            return `Synthetic ${key.replace(/_/g, ' ')} #${randomInt(rng, 10_000)}.`
+        default:
+            return null
+    }
+}
+
+// Seeded by the replay key too, so repeated instances of the same prompt differ
+const syntheticGenerate = (modelName, replayKey, seed) => async ({ prompt, responseFormat }) => {
+    const rng = createRng(hashSeed(seed, modelName, replayKey, hashText(promptText(prompt))))
+    const schema = responseFormat?.type === 'json' && responseFormat.schema
+    return textResult(schema ? sampleFromSchema(schema, rng) : 'Synthetic response.')
+}
+
+// =============================================================================
+// MODEL FACTORY
+// =============================================================================
+
+export const createMockModel = ({ mode, modelName, modelId, replayKey, replayDir = 'data', seed = 1 }) => {
+    if (!MOCK_MODES.includes(mode)) throw new Error(`Unknown mock mode: ${mode}`)
+    return {
+        specificationVersion: 'v2',
+        provider: `mock.${mode}`,
+        modelId: modelId || modelName,
+        supportedUrls: {},
+        doGenerate: mode === 'replay' ? replayGenerate(replayDir, replayKey) : syntheticGenerate(modelName, replayKey, seed),
+        doStream: async () => {
+            throw new Error('Streaming is not supported by the mock provider')
+        },
+    }
+}
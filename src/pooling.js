@@ -0,0 +1,42 @@
+// Pooling rules that combine a group's probabilities (0-100) into a single group forecast
+
+const EPS = 1e-3 // same clipping as the analysis notebook
+
+const clip = (p) => Math.min(Math.max(p, EPS), 1 - EPS)
+const logit = (p) => Math.log(p / (1 - p))
+const sigmoid = (x) => 1 / (1 + Math.exp(-x))
+
+const toUnit = (probabilities) => probabilities.map(p => clip(p / 100))
+
+export const mean = (probabilities) => {
+    return probabilities.reduce((s, p) => s + p, 0) / probabilities.length
+}
+
+export const median = (probabilities) => {
+    const sorted = [...probabilities].sort((a, b) => a - b)
+    const mid = Math.floor(sorted.length / 2)
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid]
+}
+
+// Drops round(n * fraction) forecasts from each end, always keeping at least one
+export const trimmedMean = (probabilities, fraction = 0.2) => {
+    const sorted = [...probabilities].sort((a, b) => a - b)
+    const k = Math.min(Math.round(sorted.length * fraction), Math.floor((sorted.length - 1) / 2))
+    return mean(sorted.slice(k, sorted.length - k))
+}
+
+// Mean log-odds scaled by the extremizing factor; factor 1 is the geometric mean of odds
+export const extremizedLogOdds = (probabilities, factor = 1) => {
+    const meanLogOdds = mean(toUnit(probabilities).map(logit))
+    return 100 * sigmoid(factor * meanLogOdds)
+}
+
+export const geometricMeanOfOdds = (probabilities) => extremizedLogOdds(probabilities, 1)
+
+export const poolForecasts = (probabilities, { extremizeFactor = 2, trimFraction = 0.2 } = {}) => ({
+    mean: mean(probabilities),
+    median: median(probabilities),
+    geo_mean_odds: geometricMeanOfOdds(probabilities),
+    trimmed_mean: trimmedMean(probabilities, trimFraction),
+    extremized: extremizedLogOdds(probabilities, extremizeFactor),
+})
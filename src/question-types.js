@@ -0,0 +1,216 @@
+import { z } from 'zod'
+
+// Question types beyond yes/no. Binary questions keep their original prompts and schemas;
+// the others get a prompt variant with type-specific scenarios and forecast field.
+//   binary:            forecast.probability (0-100), resolution "yes" | "no"
+//   numeric, discrete: forecast.quantiles { p5: number, ... }, resolution a number
+//   date:              forecast.quantiles { p5: "YYYY-MM-DD", ... }, resolution a date
+//   multiple_choice:   forecast.probabilities { [option]: 0-1, summing to 1 }, resolution an option
+// question.range (scraped) holds { min, max, openLowerBound, openUpperBound, unit };
+// date ranges are unix timestamps in seconds. question.options lists the choices.
+
+export const QUANTILE_LEVELS = [0.05, 0.1, 0.25, 0.5, 0.75, 0.9, 0.95]
+const SUM_TOLERANCE = 0.01 // probability vectors further than this from 1 are renormalized
+
+const quantileKey = (level) => `p${Math.round(level * 100)}`
+
+// Questions scraped before forecast types were recorded are binary
+export const getQuestionType = (question) => question.forecastType || 'binary'
+
+export const isContinuous = (question) => ['numeric', 'discrete', 'date'].includes(getQuestionType(question))
+
+export const isMultipleChoice = (question) => getQuestionType(question) === 'multiple_choice'
+
+// Name of the forecast field in the agents' outputs
+export const getForecastField = (question) => {
+    if (isContinuous(question)) return 'quantiles'
+    if (isMultipleChoice(question)) return 'probabilities'
+    return 'probability'
+}
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toISOString().split('T')[0]
+const parseDate = (date) => Date.parse(date) / 1000
+
+// =============================================================================
+// ELICITATION
+// =============================================================================
+
+const quantilesSchema = (question) => {
+    const isDate = getQuestionType(question) === 'date'
+    const unit = question.range?.unit ? ` in ${question.range.unit}` : ''
+    return z.object(Object.fromEntries(QUANTILE_LEVELS.map(level => [
+        quantileKey(level),
+        isDate
+            ? z.iso.date().describe(`Date (YYYY-MM-DD) with a ${level * 100}% chance that the outcome is on or before it`)
+            : z.number().describe(`Value${unit} with a ${level * 100}% chance that the outcome is at or below it`),
+    ])))
+}
+
+const probabilitiesSchema = (question) => z.object(Object.fromEntries(question.options.map(option => [
+    option,
+    z.number().describe('Probability of this option. Minimum 0, maximum 1; all options sum to 1.'),
+])))
+
+// Schema of the forecast field of non-binary questions
+export const forecastSchema = (question) => isMultipleChoice(question) ? probabilitiesSchema(question) : quantilesSchema(question)
+
+const formatValue = (question, value) => getQuestionType(question) === 'date' ? formatDate(value) : `${value}`
+
+// Range and bounds, or the options, for the question prompt
+export const describeAnswerSpace = (question) => {
+    if (isMultipleChoice(question)) {
+        return `The possible outcomes are:\n${question.options.map(option => `- ${option}`).join('\n')}`
+    }
+    const { min, max, openLowerBound, openUpperBound, unit } = question.range || {}
+    if (min === undefined || max === undefined) return ''
+    const suffix = unit ? ` ${unit}` : ''
+    const lower = openLowerBound ? 'the outcome may fall below it' : 'the outcome cannot fall below it'
+    const upper = openUpperBound ? 'the outcome may fall above it' : 'the outcome cannot fall above it'
+    return `The question's range is ${formatValue(question, min)}${suffix} to ${formatValue(question, max)}${suffix} (lower bound: ${lower}; upper bound: ${upper}).`
+}
+
+// The two scenarios written before the rationale, in place of the No and Yes scenarios
+export const getScenarios = (question) => isMultipleChoice(question)
+    ? [
+        { key: 'most_likely_scenario', description: 'a scenario that results in the option you consider most likely' },
+        { key: 'surprise_scenario', description: 'a scenario that results in a less expected option' },
+    ]
+    : [
+        { key: 'low_outcome_scenario', description: 'a scenario that results in a low outcome' },
+        { key: 'high_outcome_scenario', description: 'a scenario that results in a high outcome' },
+    ]
+
+// How the final forecast is asked for, in place of "a number between 0 and 100"
+export const describeForecastFormat = (question) => {
+    if (isMultipleChoice(question)) {
+        return 'your final forecast as a probability between 0 and 1 for each option, summing to 1'
+    }
+    const levels = QUANTILE_LEVELS.map(level => `${level * 100}%`).join(', ')
+    return getQuestionType(question) === 'date'
+        ? `your final forecast as a probability distribution: the dates (YYYY-MM-DD) at the ${levels} quantiles`
+        : `your final forecast as a probability distribution: the values at the ${levels} quantiles`
+}
+
+// In place of "Explain why your forecast is not higher, and why it is not lower."
+export const describeForecastJustification = (question) => isMultipleChoice(question)
+    ? 'Explain why the probability of each option is not higher, and why it is not lower.'
+    : 'Explain why your distribution is not wider, and why it is not narrower.'
+
+// The forecast field in the prompt's output schema outline
+export const describeForecastShape = (question) => isMultipleChoice(question)
+    ? `"probabilities": { ${question.options.map(option => `"${option}": "number"`).join(', ')} } (0-1, summing to 1)`
+    : `"quantiles": { ${QUANTILE_LEVELS.map(level => `"${quantileKey(level)}": ...`).join(', ')} }`
+
+// =============================================================================
+// VALIDATION AND REPAIR
+// =============================================================================
+
+// Quantiles as numbers (dates in unix seconds), ordered by level
+export const getQuantileValues = (question, forecast) => {
+    const isDate = getQuestionType(question) === 'date'
+    return QUANTILE_LEVELS.map(level => {
+        const value = forecast.quantiles[quantileKey(level)]
+        return { level, value: isDate ? parseDate(value) : value }
+    })
+}
+
+// Quantiles must not decrease with the level; crossing quantiles are sorted (monotone
+// rearrangement)
+const repairQuantiles = (question, forecast) => {
+    const values = getQuantileValues(question, forecast)
+    const sorted = [...values].sort((a, b) => a.value - b.value)
+    if (sorted.every((q, i) => q.value === values[i].value)) return { forecast, repairs: [] }
+
+    const isDate = getQuestionType(question) === 'date'
+    const quantiles = Object.fromEntries(QUANTILE_LEVELS.map((level, i) => [
+        quantileKey(level),
+        isDate ? formatDate(sorted[i].value) : sorted[i].value,
+    ]))
+    return { forecast: { ...forecast, quantiles }, repairs: ['sorted crossing quantiles'] }
+}
+
+// Probability vectors need every option, no negative entries, and a sum of 1. Percentages
+// (summing to about 100) are rescaled, other sums renormalized, all-zero vectors made uniform.
+const repairProbabilities = (question, forecast) => {
+    const repairs = []
+    let values = question.options.map(option => forecast.probabilities[option])
+
+    if (values.some(p => typeof p !== 'number' || Number.isNaN(p))) {
+        repairs.push('filled missing options with 0')
+        values = values.map(p => typeof p === 'number' && !Number.isNaN(p) ? p : 0)
+    }
+    if (values.some(p => p < 0)) {
+        repairs.push('clipped negative probabilities')
+        values = values.map(p => Math.max(p, 0))
+    }
+
+    const sum = values.reduce((s, p) => s + p, 0)
+    if (sum === 0) {
+        repairs.push('replaced all-zero vector with uniform')
+        values = values.map(() => 1 / values.length)
+    } else if (Math.abs(sum - 100) <= 100 * SUM_TOLERANCE) {
+        repairs.push('rescaled percentages')
+        values = values.map(p => p / sum)
+    } else if (Math.abs(sum - 1) > SUM_TOLERANCE) {
+        repairs.push(`renormalized sum ${Number(sum.toFixed(4))}`)
+        values = values.map(p => p / sum)
+    }
+
+    if (repairs.length === 0) return { forecast, repairs }
+    const probabilities = Object.fromEntries(question.options.map((option, i) => [option, Number(values[i].toFixed(6))]))
+    return { forecast: { ...forecast, probabilities }, repairs }
+}
+
+// Returns the forecast and the list of repairs made
+export const repairForecast = (question, forecast) => {
+    if (isContinuous(question)) return repairQuantiles(question, forecast)
+    if (isMultipleChoice(question)) return repairProbabilities(question, forecast)
+    return { forecast, repairs: [] }
+}
+
+// =============================================================================
+// PRESENTATION
+// =============================================================================
+
+// The forecast line shown to peers in deliberation
+export const formatForecast = (question, forecast) => {
+    if (isMultipleChoice(question)) {
+        return question.options.map(option => `${option}: ${Number((forecast.probabilities[option] * 100).toFixed(1))}%`).join(' | ')
+    }
+    if (!isContinuous(question)) return `${forecast.probability}%`
+    const unit = question.range?.unit ? ` ${question.range.unit}` : ''
+    const quantiles = QUANTILE_LEVELS.map(level => `${level * 100}%: ${forecast.quantiles[quantileKey(level)]}`).join(' | ')
+    return `median ${forecast.quantiles[quantileKey(0.5)]}${unit} (quantiles ${quantiles})`
+}
+
+const range = (values) => Math.max(...values) - Math.min(...values)
+
+// Disagreement within a group on the 0-100 scale: probability points (the largest spread of any
+// option for multiple choice), or the spread of medians as a percentage of the question's range
+export const getForecastSpread = (question, forecasts) => {
+    if (isMultipleChoice(question)) {
+        return 100 * Math.max(...question.options.map(option => range(forecasts.map(f => f.probabilities[option]))))
+    }
+    if (!isContinuous(question)) return range(forecasts.map(f => f.probability))
+    const medians = forecasts.map(f => getQuantileValues(question, f).find(q => q.level === 0.5).value)
+    return 100 * range(medians) / (question.range.max - question.range.min)
+}
+
+// =============================================================================
+// RESOLUTION
+// =============================================================================
+
+// 1/0 for binary questions; the resolved option for multiple choice; the outcome value (dates in
+// unix seconds) for continuous ones, with out-of-bounds resolutions placed at the bound. null for
+// questions that have not resolved (e.g. scraped with --status open)
+export const parseResolution = (question) => {
+    const { resolution } = question
+    if (resolution === null || resolution === undefined) return null
+    if (isMultipleChoice(question)) return question.options.includes(resolution) ? resolution : null
+    if (!isContinuous(question)) return resolution === 'yes' ? 1 : resolution === 'no' ? 0 : null
+    if (resolution === 'below_lower_bound') return question.range.min
+    if (resolution === 'above_upper_bound') return question.range.max
+    const number = Number(resolution)
+    if (!Number.isNaN(number)) return number
+    return getQuestionType(question) === 'date' ? parseDate(resolution) : null
+}
@@ -0,0 +1,31 @@
+import { createHash } from 'crypto'
+
+// Seeded pseudo-random numbers (mulberry32) for reproducible resampling and assignment
+
+export const createRng = (seed) => {
+    let a = seed >>> 0
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0
+        let t = a
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+export const randomInt = (rng, n) => Math.floor(rng() * n)
+
+// Fisher-Yates shuffle driven by the given generator
+export const shuffle = (array, rng) => {
+    const result = [...array]
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = randomInt(rng, i + 1)
+        ;[result[i], result[j]] = [result[j], result[i]]
+    }
+    return result
+}
+
+// Derive a 32-bit seed from any list of parts (e.g. experiment seed, question id, factor)
+export const hashSeed = (...parts) => {
+    return createHash('sha256').update(parts.join(':')).digest().readUInt32LE(0)
+}
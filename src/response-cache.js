@@ -0,0 +1,43 @@
+import fs from 'fs'
+import { createHash } from 'crypto'
+import { z } from 'zod'
+import { getResolvedModelId } from './agentUtils.js'
+
+// Content-addressed response cache: a stored result is only reused when it was generated from
+// the same resolved model, messages, schema and provider options as the current request.
+
+// JSON with sorted object keys, so equal requests always hash equally
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`
+    }
+    return JSON.stringify(value)
+}
+
+// request: the generateObject arguments except the model instance
+export const computeCacheKey = (modelName, { system, prompt, messages, schema, providerOptions, maxOutputTokens }) => {
+    const content = stableStringify({
+        model: getResolvedModelId(modelName),
+        system,
+        prompt,
+        messages,
+        schema: z.toJSONSchema(schema),
+        providerOptions,
+        maxOutputTokens,
+    })
+    return createHash('sha256').update(content).digest('hex')
+}
+
+// missing: no stored result; fresh: same key; stale: different key;
+// legacy: written before cache keys were recorded (reused, but reported by stale-forecasts.js)
+export const compareCacheKey = (storedKey, cacheKey) => {
+    if (storedKey === undefined || storedKey === null) return 'legacy'
+    return storedKey === cacheKey ? 'fresh' : 'stale'
+}
+
+export const getCacheStatus = (outputFile, cacheKey) => {
+    if (!fs.existsSync(outputFile)) return 'missing'
+    const stored = JSON.parse(fs.readFileSync(outputFile, 'utf8'))
+    return compareCacheKey(stored.cacheKey, cacheKey)
+}
@@ -0,0 +1,188 @@
+import { APICallError, RetryError, NoObjectGeneratedError, LoadAPIKeyError, TypeValidationError, JSONParseError } from 'ai'
+import { getProviderLimits } from './agentUtils.js'
+
+// Shared scheduler for LLM calls. Each provider gets its own lane with a concurrency and
+// requests-per-minute limit (config/models.json), so a slow or failing provider only holds up
+// its own calls. Failed calls are classified and retried according to the policy of their kind.
+
+// =============================================================================
+// ERROR CLASSIFICATION
+// =============================================================================
+
+//   rate_limit: back off (honoring Retry-After) and pause the whole provider lane
+//   transient:  server errors and timeouts, exponential backoff
+//   schema:     output that does not parse or match the schema, retried right away
+//   auth:       missing or rejected credentials, the provider is disabled for the run
+//   fatal:      anything else (bad request, programming errors), not retried
+const POLICIES = {
+    rate_limit: { maxAttempts: 8, baseDelayMs: 10_000 },
+    transient: { maxAttempts: 5, baseDelayMs: 5_000 },
+    schema: { maxAttempts: 3, baseDelayMs: 0 },
+    auth: { maxAttempts: 1, baseDelayMs: 0 },
+    fatal: { maxAttempts: 1, baseDelayMs: 0 },
+}
+const MAX_DELAY_MS = 300_000 // 5 minutes
+const MAX_CONSECUTIVE_FAILURES = 10 // per provider, then its remaining calls fail fast
+
+// The AI SDK wraps its own retries in a RetryError
+const unwrap = (error) => RetryError.isInstance(error) ? error.lastError : error
+
+export const classifyError = (error) => {
+    const cause = unwrap(error)
+
+    if (LoadAPIKeyError.isInstance(cause) || /API key/i.test(cause?.message || '')) return 'auth'
+    if (NoObjectGeneratedError.isInstance(cause) || TypeValidationError.isInstance(cause) || JSONParseError.isInstance(cause)) {
+        return 'schema'
+    }
+    if (APICallError.isInstance(cause)) {
+        const status = cause.statusCode
+        if (status === 429) return 'rate_limit'
+        if (status === 401 || status === 403) return 'auth'
+        if (status === 408 || status === 409 || status >= 500 || (status === undefined && cause.isRetryable)) return 'transient'
+        return cause.isRetryable ? 'transient' : 'fatal'
+    }
+    if (['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'UND_ERR_SOCKET'].includes(cause?.code)) return 'transient'
+    return 'fatal'
+}
+
+// Retry-After (seconds or HTTP date) or retry-after-ms, in milliseconds
+const getRetryAfterMs = (error) => {
+    const headers = unwrap(error)?.responseHeaders || {}
+    if (headers['retry-after-ms']) return Number(headers['retry-after-ms'])
+    const retryAfter = headers['retry-after']
+    if (!retryAfter) return null
+    const seconds = Number(retryAfter)
+    if (!Number.isNaN(seconds)) return seconds * 1000
+    const date = Date.parse(retryAfter)
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+const getRetryDelay = (error, kind, attempt) => {
+    const retryAfter = getRetryAfterMs(error)
+    if (retryAfter !== null) return Math.min(retryAfter, MAX_DELAY_MS)
+    const backoff = POLICIES[kind].baseDelayMs * 2 ** (attempt - 1)
+    return Math.min(backoff, MAX_DELAY_MS) * (0.5 + Math.random() / 2) // jitter
+}
+
+// =============================================================================
+// PROVIDER LANES
+// =============================================================================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const createLane = ({ provider, concurrency, requestsPerMinute }) => ({
+    provider,
+    concurrency,
+    requestsPerMinute,
+    active: 0,
+    waiting: [],
+    startTimes: [], // of calls in the last minute
+    pausedUntil: 0,
+    timer: null,
+    disabledBy: null,
+    consecutiveFailures: 0,
+})
+
+// Starts as many waiting calls as the lane's limits allow, and wakes up when the next one may start
+const pump = (lane) => {
+    while (lane.waiting.length > 0 && lane.active < lane.concurrency) {
+        const now = Date.now()
+        lane.startTimes = lane.startTimes.filter(t => now - t < 60_000)
+
+        let wait = lane.pausedUntil - now
+        if (lane.requestsPerMinute && lane.startTimes.length >= lane.requestsPerMinute) {
+            wait = Math.max(wait, lane.startTimes[0] + 60_000 - now)
+        }
+        if (wait > 0) {
+            if (!lane.timer) {
+                lane.timer = setTimeout(() => {
+                    lane.timer = null
+                    pump(lane)
+                }, wait)
+            }
+            return
+        }
+
+        lane.active++
+        lane.startTimes.push(now)
+        lane.waiting.shift()()
+    }
+}
+
+const acquire = (lane) => new Promise(resolve => {
+    lane.waiting.push(resolve)
+    pump(lane)
+})
+
+const release = (lane) => {
+    lane.active--
+    pump(lane)
+}
+
+// =============================================================================
+// SCHEDULER
+// =============================================================================
+
+export const createScheduler = ({ log = console.log } = {}) => {
+    const lanes = new Map()
+
+    const getLane = (modelName) => {
+        const limits = getProviderLimits(modelName)
+        if (!lanes.has(limits.provider)) lanes.set(limits.provider, createLane(limits))
+        return lanes.get(limits.provider)
+    }
+
+    // Runs call() in the model's provider lane, retrying per policy. The final error carries
+    // .kind and .attempts.
+    const run = async (modelName, call, { label = modelName } = {}) => {
+        const lane = getLane(modelName)
+
+        for (let attempt = 1; ; attempt++) {
+            if (lane.disabledBy) {
+                const error = new Error(`Provider ${lane.provider} disabled: ${lane.disabledBy}`)
+                error.kind = 'auth'
+                error.attempts = attempt - 1
+                throw error
+            }
+
+            await acquire(lane)
+            let failure
+            try {
+                const result = await call(attempt)
+                lane.consecutiveFailures = 0
+                return result
+            } catch (error) {
+                failure = error
+            } finally {
+                release(lane)
+            }
+
+            const kind = classifyError(failure)
+            const policy = POLICIES[kind]
+            failure.kind = kind
+            failure.attempts = attempt
+
+            if (kind === 'auth') lane.disabledBy = failure.message
+
+            if (attempt >= policy.maxAttempts) {
+                if (++lane.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES && !lane.disabledBy) {
+                    lane.disabledBy = `${MAX_CONSECUTIVE_FAILURES} consecutive failed calls`
+                    log(`  ⛔ ${lane.provider}: ${lane.disabledBy}, skipping its remaining calls`)
+                }
+                throw failure
+            }
+
+            const delay = getRetryDelay(failure, kind, attempt)
+            if (kind === 'rate_limit') lane.pausedUntil = Math.max(lane.pausedUntil, Date.now() + delay)
+            log(`  ⏳ ${label}: ${kind} (${unwrap(failure).message}), retry ${attempt}/${policy.maxAttempts - 1} in ${Math.round(delay / 1000)}s`)
+            await sleep(delay)
+        }
+    }
+
+    // Provider → reason, for the run summary
+    const disabledProviders = () => Object.fromEntries(
+        [...lanes.values()].filter(l => l.disabledBy).map(l => [l.provider, l.disabledBy])
+    )
+
+    return { run, disabledProviders }
+}
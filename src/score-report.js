@@ -0,0 +1,165 @@
+import fs from 'fs'
+import path from 'path'
+import { scoreForecasts } from './scoring.js'
+import { getNumberArg } from './cliUtils.js'
+import {
+    INDEPENDENT_DIR,
+    DELIBERATIVE_DIR,
+    OUTPUT_DIR,
+    loadForecasts,
+    loadQuestionMap,
+    indexById,
+} from './datasetUtils.js'
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const N_BINS = getNumberArg('--bins', 10) // calibration bins
+const STAGES = ['independent', 'deliberative']
+
+// =============================================================================
+// PAIRED FORECASTS
+// =============================================================================
+
+// One entry per deliberating agent, linked to its own independent forecast
+const loadPairs = () => {
+    const questionMap = loadQuestionMap()
+    const independentMap = indexById(loadForecasts(INDEPENDENT_DIR))
+    const deliberativeForecasts = loadForecasts(DELIBERATIVE_DIR)
+
+    const pairs = []
+    for (const df of deliberativeForecasts) {
+        const q = questionMap[df.questionId]
+        const indF = independentMap[df.independentForecastId]
+        // Resolved binary questions only; the other question types are scored in the analysis dataset
+        if (!q || !indF || q.forecastType !== 'binary' || q.resolution === null) continue
+
+        pairs.push({
+            condition: df.condition,
+            model: df.model,
+            info_label: df.infoLabel,
+            outcome: q.resolution,
+            independent: indF.forecast.probability,
+            deliberative: df.forecast.probability,
+        })
+    }
+    return pairs
+}
+
+// =============================================================================
+// SCORING
+// =============================================================================
+
+const scoreCell = (key, pairs) => {
+    const stages = {}
+    for (const stage of STAGES) {
+        stages[stage] = scoreForecasts(pairs.map(p => ({ probability: p[stage], outcome: p.outcome })), N_BINS)
+    }
+    return {
+        ...key,
+        n: pairs.length,
+        stages,
+        delta: {
+            brier: stages.deliberative.brier - stages.independent.brier,
+            log_loss: stages.deliberative.log_loss - stages.independent.log_loss,
+            ece: stages.deliberative.ece - stages.independent.ece,
+        },
+    }
+}
+
+const scoreBy = (pairs, keys) => {
+    const cells = {}
+    for (const p of pairs) {
+        const id = keys.map(k => p[k]).join('|')
+        if (!cells[id]) cells[id] = { key: Object.fromEntries(keys.map(k => [k, p[k]])), pairs: [] }
+        cells[id].pairs.push(p)
+    }
+    return Object.keys(cells).sort().map(id => scoreCell(cells[id].key, cells[id].pairs))
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+const fmt = (x, digits = 4) => x === null || x === undefined ? '–' : x.toFixed(digits)
+const fmtDelta = (x) => x === null || x === undefined ? '–' : (x > 0 ? '+' : '') + x.toFixed(4)
+
+const scoreTable = (cells, keyColumns) => {
+    const header = [...keyColumns, 'n', 'Brier ind', 'Brier del', 'Δ Brier', 'LogLoss ind', 'LogLoss del', 'Δ LogLoss', 'ECE ind', 'ECE del']
+    const lines = [
+        `| ${header.join(' | ')} |`,
+        `| ${header.map(() => '---').join(' | ')} |`,
+    ]
+    for (const c of cells) {
+        const { independent: ind, deliberative: del } = c.stages
+        lines.push(`| ${[
+            ...keyColumns.map(k => c[k]),
+            c.n,
+            fmt(ind.brier), fmt(del.brier), fmtDelta(c.delta.brier),
+            fmt(ind.log_loss), fmt(del.log_loss), fmtDelta(c.delta.log_loss),
+            fmt(ind.ece), fmt(del.ece),
+        ].join(' | ')} |`)
+    }
+    return lines.join('\n')
+}
+
+const reliabilityTable = (cell) => {
+    const lines = [
+        '| Bin | n ind | Forecast ind | Observed ind | n del | Forecast del | Observed del |',
+        '| --- | --- | --- | --- | --- | --- | --- |',
+    ]
+    cell.stages.independent.reliability.forEach((ind, i) => {
+        const del = cell.stages.deliberative.reliability[i]
+        lines.push(`| ${fmt(ind.lower, 1)}–${fmt(ind.upper, 1)} | ${ind.n} | ${fmt(ind.mean_forecast, 3)} | ${fmt(ind.observed_frequency, 3)} | ${del.n} | ${fmt(del.mean_forecast, 3)} | ${fmt(del.observed_frequency, 3)} |`)
+    })
+    return lines.join('\n')
+}
+
+const toMarkdown = ({ generatedAt, nPairs, byCondition, byCell }) => `# Score Report
+
+Generated: ${generatedAt}
+Agent-level pairs: ${nPairs}
+Δ = deliberative − independent (negative is an improvement).
+
+## By condition
+
+${scoreTable(byCondition, ['condition'])}
+
+## By condition × model × info label
+
+${scoreTable(byCell, ['condition', 'model', 'info_label'])}
+
+## Reliability by condition
+
+${byCondition.map(c => `### ${c.condition}\n\n${reliabilityTable(c)}`).join('\n\n')}
+`
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+const main = () => {
+    console.log('\n=== Scoring Forecasts ===\n')
+
+    const pairs = loadPairs()
+    console.log(`Loaded ${pairs.length} independent→deliberative pairs`)
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        nPairs: pairs.length,
+        nBins: N_BINS,
+        byCondition: scoreBy(pairs, ['condition']),
+        byCell: scoreBy(pairs, ['condition', 'model', 'info_label']),
+    }
+
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true })
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'score-report.json'), JSON.stringify(report, null, 2))
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'score-report.md'), toMarkdown(report))
+
+    console.log(`\n${scoreTable(report.byCondition, ['condition'])}\n`)
+    console.log(`Saved: data/analysis/score-report.json`)
+    console.log(`Saved: data/analysis/score-report.md`)
+}
+
+main()
@@ -0,0 +1,79 @@
+// Proper scoring rules and calibration for binary forecasts (probabilities on the 0-100 scale),
+// multi-class scores for probability vectors, and the pinball loss for quantile forecasts
+
+const EPS = 1e-3 // same clipping as the analysis notebook
+
+export const brierScore = (probability, outcome) => {
+    const p = probability / 100
+    return (p - outcome) ** 2
+}
+
+export const logLoss = (probability, outcome, eps = EPS) => {
+    const p = Math.min(Math.max(probability / 100, eps), 1 - eps)
+    return -(outcome * Math.log(p) + (1 - outcome) * Math.log(1 - p))
+}
+
+// Equal-width reliability table and expected calibration error over { probability, outcome } pairs
+export const calibration = (pairs, nBins = 10) => {
+    const bins = Array.from({ length: nBins }, (_, i) => ({
+        lower: i / nBins,
+        upper: (i + 1) / nBins,
+        n: 0,
+        sumForecast: 0,
+        sumOutcome: 0,
+    }))
+
+    for (const { probability, outcome } of pairs) {
+        const p = probability / 100
+        const bin = bins[Math.min(Math.floor(p * nBins), nBins - 1)]
+        bin.n++
+        bin.sumForecast += p
+        bin.sumOutcome += outcome
+    }
+
+    const table = bins.map(b => ({
+        lower: b.lower,
+        upper: b.upper,
+        n: b.n,
+        mean_forecast: b.n > 0 ? b.sumForecast / b.n : null,
+        observed_frequency: b.n > 0 ? b.sumOutcome / b.n : null,
+    }))
+
+    const total = pairs.length
+    const ece = total === 0 ? null : table
+        .filter(b => b.n > 0)
+        .reduce((s, b) => s + (b.n / total) * Math.abs(b.mean_forecast - b.observed_frequency), 0)
+
+    return { table, ece }
+}
+
+// Mean scores and calibration of a list of { probability, outcome } pairs
+export const scoreForecasts = (pairs, nBins = 10) => {
+    const n = pairs.length
+    const mean = (fn) => n === 0 ? null : pairs.reduce((s, x) => s + fn(x.probability, x.outcome), 0) / n
+    const { table, ece } = calibration(pairs, nBins)
+    return {
+        n,
+        brier: mean(brierScore),
+        log_loss: mean(logLoss),
+        ece,
+        reliability: table,
+    }
+}
+
+// Mean pinball (quantile) loss of [{ level, value }] quantiles for numeric and date questions;
+// on the outcome's scale, so divide by the question's range width to compare across questions
+export const pinballLoss = (quantiles, outcome) => {
+    const loss = ({ level, value }) => Math.max(level * (outcome - value), (level - 1) * (outcome - value))
+    return quantiles.reduce((s, q) => s + loss(q), 0) / quantiles.length
+}
+
+// Multi-class log loss and Brier score of a probability vector { [option]: 0-1 } given the
+// resolved option; the Brier score sums over options (0 to 2)
+export const multiclassLogLoss = (probabilities, outcome, eps = EPS) => {
+    return -Math.log(Math.min(Math.max(probabilities[outcome] ?? 0, eps), 1 - eps))
+}
+
+export const multiclassBrier = (probabilities, outcome) => {
+    return Object.entries(probabilities).reduce((s, [option, p]) => s + (p - (option === outcome ? 1 : 0)) ** 2, 0)
+}
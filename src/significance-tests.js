@@ -0,0 +1,157 @@
+import fs from 'fs'
+import path from 'path'
+import { brierScore, logLoss } from './scoring.js'
+import { testDifference } from './statistics.js'
+import { getArgValue, getNumberArg } from './cliUtils.js'
+import { OUTPUT_DIR, parseCSV } from './datasetUtils.js'
+import { median } from './pooling.js'
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const PAIRS_PATH = path.join(OUTPUT_DIR, 'condition_pairs.csv')
+// log_loss | brier (binary questions) | pinball (numeric and date) | mc_log_loss | mc_brier (multiple choice)
+const SCORE = getArgValue('--score', 'log_loss')
+const AGGREGATE = getArgValue('--aggregate', 'median') // median | mean (group forecast) | agent (agent-level, clustered)
+const ITERATIONS = getNumberArg('--iterations', 10_000)
+const ALPHA = getNumberArg('--alpha', 0.05)
+const SEED = getNumberArg('--seed', 1)
+
+// Between-condition contrasts as "A:B"; either side may pool conditions with "+"
+const DEFAULT_CONTRASTS = [
+    'diverse_full:homo_full',
+    'diverse_info:homo_info',
+    'diverse_none:homo_none',
+    'diverse_full+diverse_info:homo_full+homo_info',
+]
+
+const SCORING_RULES = { log_loss: logLoss, brier: brierScore }
+
+// Agent-level scores the dataset builder precomputes for the other question types
+const PRECOMPUTED_SCORES = {
+    pinball: ['numeric', 'discrete', 'date'],
+    mc_log_loss: ['multiple_choice'],
+    mc_brier: ['multiple_choice'],
+}
+
+const questionTypes = () => PRECOMPUTED_SCORES[SCORE] || ['binary']
+
+// =============================================================================
+// PER-QUESTION DIFFERENCES
+// =============================================================================
+
+const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length
+
+// condition -> questionId -> [deliberative - independent score differences]
+const buildClusters = (rows, score) => {
+    const byCondition = {}
+    for (const row of rows) {
+        byCondition[row.condition] ??= {}
+        byCondition[row.condition][row.question_id] ??= []
+        byCondition[row.condition][row.question_id].push(row)
+    }
+
+    const clusters = {}
+    for (const [condition, byQuestion] of Object.entries(byCondition)) {
+        clusters[condition] = {}
+        for (const [qid, group] of Object.entries(byQuestion)) {
+            const outcome = group[0].resolution
+            if (PRECOMPUTED_SCORES[SCORE]) {
+                clusters[condition][qid] = group.map(r => r[`deliberative_${SCORE}`] - r[`independent_${SCORE}`])
+            } else if (AGGREGATE === 'agent') {
+                clusters[condition][qid] = group.map(r =>
+                    score(r.deliberative_prob, outcome) - score(r.independent_prob, outcome)
+                )
+            } else {
+                const pool = AGGREGATE === 'mean' ? mean : median
+                const ind = pool(group.map(r => r.independent_prob))
+                const del = pool(group.map(r => r.deliberative_prob))
+                clusters[condition][qid] = [score(del, outcome) - score(ind, outcome)]
+            }
+        }
+    }
+    return clusters
+}
+
+// Per-question difference-in-differences between two sets of conditions
+const contrastClusters = (clusters, spec) => {
+    const [sideA, sideB] = spec.split(':').map(side => side.split('+'))
+    const perQuestion = (conditions, qid) => {
+        const values = conditions.map(c => clusters[c]?.[qid]).filter(Boolean).map(mean)
+        return values.length === conditions.length ? mean(values) : null
+    }
+
+    const qids = new Set([...sideA, ...sideB].flatMap(c => Object.keys(clusters[c] || {})))
+    const result = []
+    for (const qid of qids) {
+        const a = perQuestion(sideA, qid)
+        const b = perQuestion(sideB, qid)
+        if (a !== null && b !== null) result.push([a - b])
+    }
+    return result
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+const fmt = (x, digits = 4) => x === null || x === undefined ? '–' : x.toFixed(digits)
+
+const resultTable = (results) => {
+    const lines = [
+        `| Effect | Questions | Estimate | ${Math.round((1 - ALPHA) * 100)}% CI | SE | d_z | p (sign-flip) |`,
+        '| --- | --- | --- | --- | --- | --- | --- |',
+    ]
+    for (const r of results) {
+        lines.push(`| ${r.effect} | ${r.nClusters} | ${fmt(r.estimate)} | [${fmt(r.ciLower)}, ${fmt(r.ciUpper)}] | ${fmt(r.se)} | ${fmt(r.cohensDz, 3)} | ${fmt(r.pPermutation)} |`)
+    }
+    return lines.join('\n')
+}
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+const main = () => {
+    if (!SCORING_RULES[SCORE] && !PRECOMPUTED_SCORES[SCORE]) throw new Error(`Unknown score: ${SCORE}`)
+    if (!['median', 'mean', 'agent'].includes(AGGREGATE)) throw new Error(`Unknown aggregate: ${AGGREGATE}`)
+    if (PRECOMPUTED_SCORES[SCORE] && AGGREGATE !== 'agent') throw new Error(`The ${SCORE} score is agent-level, use --aggregate agent`)
+    const score = SCORING_RULES[SCORE]
+
+    const rows = parseCSV(fs.readFileSync(PAIRS_PATH, 'utf8'))
+        .filter(row => questionTypes().includes(row.question_type || 'binary'))
+        .filter(row => row.resolution !== '') // skip unresolved questions
+    const clusters = buildClusters(rows, score)
+    const options = { iterations: ITERATIONS, alpha: ALPHA, seed: SEED }
+
+    console.log(`\n=== Significance Tests (${SCORE}, ${AGGREGATE}, ${ITERATIONS} resamples) ===\n`)
+    console.log('Estimates are deliberative − independent; negative means deliberation improved the score.\n')
+
+    const conditionResults = Object.keys(clusters).sort().map(condition => ({
+        effect: condition,
+        ...testDifference(Object.values(clusters[condition]), options),
+    }))
+
+    const contrastSpecs = process.argv.includes('--contrast')
+        ? process.argv.flatMap((arg, i) => arg === '--contrast' ? [process.argv[i + 1]] : [])
+        : DEFAULT_CONTRASTS
+    const contrastResults = contrastSpecs
+        .map(spec => ({ spec, clusters: contrastClusters(clusters, spec) }))
+        .filter(({ clusters }) => clusters.length > 1)
+        .map(({ spec, clusters }) => ({
+            effect: spec.replace(':', ' vs '),
+            ...testDifference(clusters, options),
+        }))
+
+    console.log('## Deliberation effect by condition\n')
+    console.log(resultTable(conditionResults))
+    console.log('\n## Between-condition contrasts (difference in deliberation effects)\n')
+    console.log(resultTable(contrastResults))
+
+    const output = { score: SCORE, aggregate: AGGREGATE, ...options, conditions: conditionResults, contrasts: contrastResults }
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'significance-tests.json'), JSON.stringify(output, null, 2))
+    console.log(`\nSaved: data/analysis/significance-tests.json`)
+}
+
+main()
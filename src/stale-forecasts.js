@@ -0,0 +1,124 @@
+import fs from 'fs'
+import { buildIndependentForecastRequest } from './independent-forecasting-agent.js'
+import { buildDeliberativeForecastRequest } from './deliberative-forecasting-agent.js'
+import { loadExperiment, getInformation } from './experiment.js'
+import { getConditionProtocol } from './deliberation-protocols.js'
+import { loadManifest, getRequiredForecasts, getGroupComposition, getTurns } from './manifest.js'
+import { getCacheStatus, compareCacheKey } from './response-cache.js'
+import { hasFlag } from './cliUtils.js'
+import {
+    independentForecastId,
+    independentForecastPath,
+    deliberativeForecastId,
+    loadIndependentForecast,
+    loadDeliberativeForecast,
+    getPreviousRounds,
+    getEarlierSpeakers,
+} from './forecast-files.js'
+
+// Lists stored forecasts whose cache key no longer matches the request the current prompts,
+// model registry and options would send.
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const LIST_LEGACY = hasFlag('--legacy') // also list files written before cache keys were recorded
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+
+const checkIndependent = (question, manifest, statuses) => {
+    for (const req of getRequiredForecasts(manifest, question.id)) {
+        const forecastId = independentForecastId(question.id, req.model, req.infoLabel, req.instance)
+        const information = getInformation(question, req.infoLabel)
+        const { cacheKey } = buildIndependentForecastRequest(question, information, req.model, req.infoLabel, req.instance)
+        statuses[forecastId] = getCacheStatus(independentForecastPath(forecastId), cacheKey)
+    }
+}
+
+// A deliberative round is stale if its own request changed or any group member's
+// independent forecast is stale (it will be regenerated, changing the prompt)
+const checkDeliberative = (question, manifest, condition, conditionConfig, independentStatuses, statuses) => {
+    const groupComposition = getGroupComposition(manifest, condition, question.id)
+    const independentForecasts = groupComposition.map(agent =>
+        loadIndependentForecast(question.id, agent.model, agent.infoLabel, agent.instance)
+    )
+    if (independentForecasts.some(f => f === null)) return
+
+    const records = groupComposition.map((agent, i) =>
+        loadDeliberativeForecast(deliberativeForecastId(question.id, condition, agent.model, i + 1))
+    )
+    const upstreamStale = independentForecasts.some(f => independentStatuses[f.forecastId] === 'stale')
+    const turns = getTurns(groupComposition)
+
+    groupComposition.forEach((agent, i) => {
+        const position = i + 1
+        const forecastId = deliberativeForecastId(question.id, condition, agent.model, position)
+        const record = records[i]
+        if (!record) {
+            statuses[forecastId] = 'missing'
+            return
+        }
+
+        const roundStatuses = record.rounds.map((stored, r) => {
+            // Later rounds need every peer's earlier rounds to rebuild the messages
+            if (records.some(other => !other || other.rounds.length < r + 1)) return 'fresh'
+            const { cacheKey } = buildDeliberativeForecastRequest({
+                question,
+                information: getInformation(question, agent.infoLabel),
+                independentForecast: independentForecasts[i],
+                otherForecasts: independentForecasts.filter((_, j) => j !== i),
+                model: agent.model,
+                condition,
+                position,
+                round: r + 1,
+                previousRounds: getPreviousRounds(records, position, r + 1, turns),
+                earlierSpeakers: getEarlierSpeakers(records, position, turns),
+                ...getConditionProtocol(conditionConfig, groupComposition.length),
+            })
+            return compareCacheKey(stored.cacheKey, cacheKey)
+        })
+
+        statuses[forecastId] = upstreamStale || roundStatuses.includes('stale')
+            ? 'stale'
+            : roundStatuses.includes('legacy') ? 'legacy' : 'fresh'
+    })
+}
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+const summarize = (label, statuses) => {
+    const counts = { fresh: 0, stale: 0, legacy: 0, missing: 0 }
+    for (const status of Object.values(statuses)) counts[status]++
+    console.log(`${label}: ${counts.fresh} fresh, ${counts.stale} stale, ${counts.legacy} legacy (no cache key), ${counts.missing} missing`)
+
+    const listed = Object.entries(statuses)
+        .filter(([, status]) => status === 'stale' || (LIST_LEGACY && status === 'legacy'))
+        .map(([id, status]) => `  ${status === 'stale' ? '✗' : '?'} ${id}`)
+    if (listed.length > 0) console.log(listed.join('\n'))
+}
+
+const main = () => {
+    const experiment = loadExperiment()
+    const questions = JSON.parse(fs.readFileSync('data/processed/questions.json', 'utf8'))
+    const manifest = loadManifest(experiment, questions)
+
+    const independentStatuses = {}
+    const deliberativeStatuses = {}
+    for (const question of questions) {
+        checkIndependent(question, manifest, independentStatuses)
+        for (const condition of Object.keys(experiment.conditions)) {
+            checkDeliberative(question, manifest, condition, experiment.conditions[condition], independentStatuses, deliberativeStatuses)
+        }
+    }
+
+    summarize('Independent forecasts', independentStatuses)
+    summarize('Deliberative forecasts', deliberativeStatuses)
+    console.log('\nStale forecasts are regenerated on the next run; legacy files are reused as-is.')
+}
+
+main()
@@ -0,0 +1,86 @@
+import { createRng, randomInt } from './random.js'
+
+// Resampling tests for paired score differences clustered by question.
+// Each cluster is an array of differences (e.g. the agents of one question); statistics are
+// computed over all differences, so clusters are resampled or sign-flipped as a whole.
+
+const clusterMean = (clusters) => {
+    let sum = 0
+    let n = 0
+    for (const cluster of clusters) {
+        for (const d of cluster) {
+            sum += d
+            n++
+        }
+    }
+    return n === 0 ? null : sum / n
+}
+
+const quantile = (sorted, q) => {
+    const pos = (sorted.length - 1) * q
+    const lo = Math.floor(pos)
+    const hi = Math.ceil(pos)
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo)
+}
+
+// Standardized mean difference of the per-cluster means (Cohen's d_z)
+export const cohensDz = (clusters) => {
+    const means = clusters.map(c => c.reduce((s, d) => s + d, 0) / c.length)
+    const n = means.length
+    if (n < 2) return null
+    const mean = means.reduce((s, m) => s + m, 0) / n
+    const sd = Math.sqrt(means.reduce((s, m) => s + (m - mean) ** 2, 0) / (n - 1))
+    return sd === 0 ? null : mean / sd
+}
+
+// Percentile confidence interval from resampling whole clusters with replacement
+export const clusterBootstrap = (clusters, { iterations = 10_000, alpha = 0.05, seed = 1 } = {}) => {
+    const rng = createRng(seed)
+    const estimates = []
+    for (let b = 0; b < iterations; b++) {
+        const sample = []
+        for (let i = 0; i < clusters.length; i++) {
+            sample.push(clusters[randomInt(rng, clusters.length)])
+        }
+        estimates.push(clusterMean(sample))
+    }
+    estimates.sort((a, b) => a - b)
+    const mean = estimates.reduce((s, x) => s + x, 0) / iterations
+    return {
+        se: Math.sqrt(estimates.reduce((s, x) => s + (x - mean) ** 2, 0) / (iterations - 1)),
+        ciLower: quantile(estimates, alpha / 2),
+        ciUpper: quantile(estimates, 1 - alpha / 2),
+    }
+}
+
+// Two-sided sign-flip permutation test of H0: differences are symmetric around zero
+export const signFlipTest = (clusters, { iterations = 10_000, seed = 1 } = {}) => {
+    const rng = createRng(seed)
+    const observed = Math.abs(clusterMean(clusters))
+    const sums = clusters.map(c => c.reduce((s, d) => s + d, 0))
+    const n = clusters.reduce((s, c) => s + c.length, 0)
+
+    let extreme = 0
+    for (let b = 0; b < iterations; b++) {
+        let total = 0
+        for (const sum of sums) {
+            total += rng() < 0.5 ? -sum : sum
+        }
+        if (Math.abs(total / n) >= observed - 1e-12) extreme++
+    }
+    return (extreme + 1) / (iterations + 1)
+}
+
+export const testDifference = (clusters, options = {}) => {
+    const { se, ciLower, ciUpper } = clusterBootstrap(clusters, options)
+    return {
+        nClusters: clusters.length,
+        nObservations: clusters.reduce((s, c) => s + c.length, 0),
+        estimate: clusterMean(clusters),
+        se,
+        ciLower,
+        ciUpper,
+        cohensDz: cohensDz(clusters),
+        pPermutation: signFlipTest(clusters, options),
+    }
+}
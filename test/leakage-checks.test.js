@@ -0,0 +1,60 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { extractDatedEvents, findOutcomeStatements, auditQuestion } from '../src/leakage-checks.js'
+
+// Sentences from the information packages of aibq2 questions (question id, forecast date)
+
+const reported = (text) => extractDatedEvents(text).map(e => [e.text, e.reported])
+
+const LOOKING_AHEAD = [
+    [37038, 'Israeli Economy Minister Nir Barkat stated that officials from both countries are optimistic about reaching a new trade agreement before the suspension period expires on July 9, 2025.'],
+    [37038, 'Additionally, new tariffs ranging from 41% to over 3,500% have been announced on solar imports from several Southeast Asian countries, pending a final decision in June 2025.'],
+    [37233, "In a January 2025 address to the diplomatic corps, President Alassane Ouattara stated he was in 'perfect health and ready to continue serving my country', but clarified that he had 'not yet made a decision' regarding a candidacy in the October 2025 presidential election."],
+    [37456, "The affected products were produced on March 12 and 13, 2025, have 'use by' dates in August 2025 and March 2026."],
+    [37472, 'Following her return, her party, the Bangladesh Nationalist Party (BNP), has increased pressure on the interim government to hold elections sooner, with some leaders demanding polls be held by December 2025.'],
+    [37256, 'The national legislature has been meeting infrequently, sitting for only 32 days in the second half of 2024, and its published calendar for May-June 2025 includes no trade-related bills.'],
+    [37655, 'This followed earlier reports in March 2025 from The Economist, which, citing anonymous sources in the Ukrainian government, had suggested President Zelensky was planning to announce a surprise election for July 2025.'],
+    [37441, 'Market expectations for the US Federal Reserve include a 33-37% probability of an interest rate cut by July 2025.'],
+    [37477, 'Following the implementation of tariffs, the Treasury Department raised its borrowing projection for the April-June 2025 quarter to an estimated net marketable borrowing of $514 billion.'],
+]
+
+for (const [id, sentence] of LOOKING_AHEAD) {
+    test(`${id}: a date after the forecast date that looks ahead is not reported`, () => {
+        const late = extractDatedEvents(sentence).filter(e => e.date >= '2025-05-01')
+        assert.ok(late.length > 0)
+        assert.deepEqual(late.filter(e => e.reported), [])
+    })
+}
+
+test('37626: an event reported on a date after the forecast date is reported', () => {
+    const sentence = 'Separately, following trade talks in Geneva, a trade agreement between the U.S. and China was announced on May 14, 2025.'
+    assert.deepEqual(reported(sentence), [['May 14, 2025', true]])
+})
+
+test('the tense is judged per clause around the date', () => {
+    assert.deepEqual(reported('Rates were cut in March 2025, and another cut is expected in July 2025.'), [['March 2025', true], ['July 2025', false]])
+    assert.deepEqual(reported('The bill passed in May 2025 and will take effect in January 2026.'), [['May 2025', true], ['January 2026', false]])
+    assert.deepEqual(reported('On June 20, 2025, the Fed cut rates.'), [['June 20, 2025', true]])
+})
+
+test('37006: a sentence marked as history is not an outcome statement', () => {
+    const question = { questionTitle: 'Will Bloc Québécois win more seats in Quebec than the Conservative Party?', date: '2025-04-21' }
+    const sentence = 'Historically, the Bloc has won more seats in Quebec than the Conservatives in the last five to seven elections.'
+    assert.deepEqual(findOutcomeStatements(sentence, question), [])
+    assert.equal(findOutcomeStatements('The Bloc has won more seats in Quebec than the Conservative Party.', question).length, 1)
+})
+
+test('auditQuestion flags only reported late events and outcome statements', () => {
+    const question = {
+        id: 1,
+        date: '2025-05-13',
+        questionTitle: 'Will the U.S. and China announce a trade agreement before June 2025?',
+        informationPackages: [
+            'Some leaders demanded that polls be held by December 2025.',
+            { text: 'A trade agreement between the U.S. and China was announced on May 14, 2025.', sources: [] },
+        ],
+    }
+    const audit = auditQuestion(question)
+    assert.equal(audit.heuristicFlagged, true)
+    assert.deepEqual(audit.lateEvents.filter(e => e.reported).map(e => e.unit), [2])
+})
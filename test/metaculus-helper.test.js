@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { MetaculusClient } from '../src/metaculus-helper.js'
+
+// Local stub of the Metaculus API: posts/ serves POSTS in pages of ?limit, and the first
+// comments/ request is answered with a 429 carrying Retry-After
+
+const POSTS = Array.from({ length: 5 }, (_, i) => ({ id: 100 + i, title: `Post ${i}` }))
+const requests = []
+let server
+let baseUrl
+let rateLimited = false
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost')
+        requests.push(url.pathname + url.search)
+        res.setHeader('Content-Type', 'application/json')
+
+        if (url.pathname === '/api/posts/') {
+            const limit = Number(url.searchParams.get('limit'))
+            const offset = Number(url.searchParams.get('offset'))
+            const results = POSTS.slice(offset, offset + limit)
+            const next = offset + limit < POSTS.length ? `${baseUrl}posts/?limit=${limit}&offset=${offset + limit}` : null
+            res.end(JSON.stringify({ results, next }))
+        } else if (url.pathname === '/api/comments/') {
+            if (!rateLimited) {
+                rateLimited = true
+                res.statusCode = 429
+                res.setHeader('Retry-After', '1')
+                res.end(JSON.stringify({ detail: 'rate limited' }))
+                return
+            }
+            res.end(JSON.stringify({ results: [{ id: 1, text: 'comment' }], next: null }))
+        } else {
+            res.statusCode = 404
+            res.end('{}')
+        }
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/`
+})
+
+after(() => server.close())
+
+const countRequests = (pathname) => requests.filter(r => r.startsWith(pathname)).length
+
+test('follows offset pagination across pages', async () => {
+    const client = new MetaculusClient({ baseUrl, token: null })
+    const before = countRequests('/api/posts/')
+    const posts = []
+    for await (const post of client.paginate('posts/', {}, { limit: 2 })) posts.push(post)
+
+    assert.deepEqual(posts.map(p => p.id), POSTS.map(p => p.id))
+    assert.equal(countRequests('/api/posts/') - before, 3)
+})
+
+test('waits for Retry-After on a 429 and retries', async () => {
+    const client = new MetaculusClient({ baseUrl, token: null })
+    const start = Date.now()
+    const comments = await client.getComments({ post: 100 })
+
+    assert.deepEqual(comments.map(c => c.id), [1])
+    assert.equal(countRequests('/api/comments/'), 2)
+    const elapsed = Date.now() - start
+    assert.ok(elapsed >= 1000, 'retried before Retry-After elapsed')
+    assert.ok(elapsed < 5000, 'waited the default backoff instead of Retry-After')
+})
+
+test('serves a second run from cacheDir without requests', async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metaculus-cache-'))
+    try {
+        const first = await new MetaculusClient({ baseUrl, token: null, cacheDir }).collect('posts/', {}, { limit: 2 })
+        const before = requests.length
+        const second = await new MetaculusClient({ baseUrl, token: null, cacheDir }).collect('posts/', {}, { limit: 2 })
+
+        assert.deepEqual(second, first)
+        assert.equal(requests.length, before)
+    } finally {
+        fs.rmSync(cacheDir, { recursive: true, force: true })
+    }
+})